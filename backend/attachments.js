@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+
+// Encrypted file uploads, kept in the shared store (never on disk) so every
+// instance can serve them. Clients upload an attachment in chunks, then
+// reference its id from a chat message; everyone in the room fetches it from
+// here on demand. The server only ever sees ciphertext, so the declared MIME
+// type and size are all it can check.
+function createAttachmentStore(store, { maxBytes, maxTotalBytes, maxAgeMs, allowedTypes, chunkBytes }) {
+  // Uploads and unclaimed files are dropped much sooner than attached ones
+  const PENDING_TTL_MS = 5 * 60 * 1000;
+  const MAX_PENDING_PER_SESSION = 3;
+
+  // attachment:<id> -> { id, room, sessionId, mimeType, size, iv, chunkCount,
+  //                      received, state: 'uploading' | 'ready' | 'attached' }
+  const metaKey = (id) => `attachment:${id}`;
+  // attachment:<id>:<index> -> base64 chunk, outliving any state of its upload
+  const chunkKey = (id, index) => `attachment:${id}:${index}`;
+  const CHUNK_TTL_MS = maxAgeMs + PENDING_TTL_MS;
+  // attachments -> [{ id, sessionId, size, attached, at }], oldest first, for
+  // the storage budget and the per-session upload cap
+  const INDEX_KEY = 'attachments';
+
+  const attachmentError = (code, message) => ({ error: { code, message } });
+
+  const isLive = (entry, now) =>
+    now - entry.at < (entry.attached ? maxAgeMs : PENDING_TTL_MS);
+
+  const updateIndex = (fn) =>
+    store.update(INDEX_KEY, (index) => {
+      const now = Date.now();
+      const next = fn((index || []).filter(entry => isLive(entry, now)));
+      return next.length > 0 ? next : null;
+    }, { ttlMs: maxAgeMs });
+
+  const removeKeys = async (id) => {
+    const meta = await store.get(metaKey(id));
+    await store.delete(metaKey(id));
+    if (meta) {
+      await Promise.all(Array.from({ length: meta.chunkCount }, (_, index) =>
+        store.delete(chunkKey(id, index))
+      ));
+    }
+  };
+
+  const discard = async (id) => {
+    await removeKeys(id);
+    await updateIndex(index => index.filter(entry => entry.id !== id));
+  };
+
+  const owned = async (id, room, sessionId) => {
+    const meta = typeof id === 'string' ? await store.get(metaKey(id)) : null;
+    return meta && meta.room === room && meta.sessionId === sessionId ? meta : null;
+  };
+
+  return {
+    // `size` is the encrypted size in bytes. Returns { id } or { error }.
+    async begin(room, sessionId, { mimeType, size, iv }) {
+      if (typeof mimeType !== 'string' || !allowedTypes.includes(mimeType.toLowerCase())) {
+        return attachmentError('UNSUPPORTED_TYPE', 'That file type is not allowed');
+      }
+      if (!Number.isInteger(size) || size <= 0) {
+        return attachmentError('INVALID_ATTACHMENT', 'Invalid attachment size');
+      }
+      if (size > maxBytes) {
+        return attachmentError('ATTACHMENT_TOO_LARGE', `Files can be at most ${Math.floor(maxBytes / 1024 / 1024)} MB`);
+      }
+      if (typeof iv !== 'string' || iv === '' || iv.length > 32) {
+        return attachmentError('INVALID_ATTACHMENT', 'Invalid attachment');
+      }
+
+      const id = crypto.randomBytes(12).toString('hex');
+      let error = null;
+      let evicted = [];
+
+      // Oldest attachments go first when the storage budget runs out
+      await updateIndex((index) => {
+        error = null;
+        evicted = [];
+        const pending = index.filter(entry => entry.sessionId === sessionId && !entry.attached);
+        if (pending.length >= MAX_PENDING_PER_SESSION) {
+          error = attachmentError('TOO_MANY_UPLOADS', 'Finish your other uploads first');
+          return index;
+        }
+
+        let total = index.reduce((sum, entry) => sum + entry.size, 0);
+        const kept = [...index];
+        while (kept.length && total + size > maxTotalBytes) {
+          const oldest = kept.shift();
+          total -= oldest.size;
+          evicted.push(oldest.id);
+        }
+        if (total + size > maxTotalBytes) {
+          error = attachmentError('ATTACHMENT_TOO_LARGE', 'The server is out of room for attachments');
+          evicted = [];
+          return index;
+        }
+        return [...kept, { id, sessionId, size, attached: false, at: Date.now() }];
+      });
+
+      await Promise.all(evicted.map(removeKeys));
+      if (error) return error;
+
+      await store.set(metaKey(id), {
+        id,
+        room,
+        sessionId,
+        mimeType: mimeType.toLowerCase(),
+        size,
+        iv,
+        chunkCount: 0,
+        received: 0,
+        state: 'uploading'
+      }, { ttlMs: PENDING_TTL_MS });
+      return { id };
+    },
+
+    // Chunks must arrive in order; returns { error } when one doesn't fit
+    async addChunk(id, room, sessionId, index, data) {
+      const attachment = await owned(id, room, sessionId);
+      if (!attachment || attachment.state !== 'uploading') {
+        return attachmentError('UPLOAD_NOT_FOUND', 'Upload not found');
+      }
+      if (!Buffer.isBuffer(data) || data.length === 0 || data.length > chunkBytes) {
+        return attachmentError('INVALID_CHUNK', 'Invalid chunk');
+      }
+
+      let accepted = false;
+      await store.update(metaKey(id), (meta) => {
+        accepted = Boolean(meta) && index === meta.chunkCount &&
+          meta.received + data.length <= meta.size;
+        if (!accepted) return meta;
+        return { ...meta, chunkCount: meta.chunkCount + 1, received: meta.received + data.length };
+      }, { ttlMs: PENDING_TTL_MS });
+
+      if (!accepted) {
+        await discard(id);
+        return attachmentError('INVALID_CHUNK', 'Chunks arrived out of order or exceed the declared size');
+      }
+      await store.set(chunkKey(id, index), data.toString('base64'), { ttlMs: CHUNK_TTL_MS });
+      return {};
+    },
+
+    async finish(id, room, sessionId) {
+      const attachment = await owned(id, room, sessionId);
+      if (!attachment || attachment.state !== 'uploading') {
+        return attachmentError('UPLOAD_NOT_FOUND', 'Upload not found');
+      }
+      if (attachment.received !== attachment.size) {
+        await discard(id);
+        return attachmentError('INCOMPLETE_UPLOAD', 'The upload is incomplete');
+      }
+
+      await store.set(metaKey(id), { ...attachment, state: 'ready' }, { ttlMs: PENDING_TTL_MS });
+      return {};
+    },
+
+    // Ties a finished upload to a message. Returns the metadata clients see, or null.
+    async claim(id, room, sessionId) {
+      const attachment = await owned(id, room, sessionId);
+      if (!attachment || attachment.state !== 'ready') return null;
+
+      await store.set(metaKey(id), { ...attachment, state: 'attached' }, { ttlMs: maxAgeMs });
+      await updateIndex(index => index.map(entry =>
+        entry.id === id ? { ...entry, attached: true, at: Date.now() } : entry
+      ));
+      return { id, mimeType: attachment.mimeType, size: attachment.size, iv: attachment.iv };
+    },
+
+    // Encrypted bytes of an attached file in `room`, or null
+    async get(id, room) {
+      const attachment = await store.get(metaKey(id));
+      if (!attachment || attachment.room !== room || attachment.state !== 'attached') return null;
+
+      const chunks = await Promise.all(Array.from({ length: attachment.chunkCount }, (_, index) =>
+        store.get(chunkKey(id, index))
+      ));
+      if (chunks.some(chunk => chunk === null)) return null;
+
+      return {
+        data: Buffer.concat(chunks.map(chunk => Buffer.from(chunk, 'base64'))),
+        mimeType: attachment.mimeType,
+        iv: attachment.iv
+      };
+    },
+
+    async remove(id) {
+      await discard(id);
+    }
+  };
+}
+
+module.exports = { createAttachmentStore };
@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const {
+  MIN_MESSAGE_TTL_MS,
+  MAX_MESSAGE_TTL_MS,
+  KDF_ITERATIONS,
+  MIN_KDF_ITERATIONS,
+  isValidKdf,
+  isValidVerifier
+} = require('./rooms');
+const { LEVELS } = require('./logger');
+
+// Server configuration from environment variables, optionally layered over a
+// JSON file named by CONFIG_FILE. The file uses the same names as the
+// environment ({ "HISTORY_LIMIT": 100, "ALLOWED_ORIGINS": ["https://a.example"] })
+// and the environment wins. Invalid values fail at startup, all at once.
+
+const DEFAULT_ORIGINS = ['https://anony-chat-one.vercel.app'];
+// Vite's dev server, allowed outside production
+const DEV_ORIGINS = ['http://localhost:5173'];
+
+// scheme://host[:port], where the host may start with "*." for any subdomain
+const ORIGIN_PATTERN = /^(https?):\/\/(\*\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*)(:\d{1,5})?$/i;
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const readJsonFile = (path, problems) => {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(path, 'utf8'));
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    problems.push(`CONFIG_FILE: ${path} must contain a JSON object`);
+  } catch (error) {
+    problems.push(`CONFIG_FILE: cannot read ${path} (${error.message})`);
+  }
+  return {};
+};
+
+// Returns a function telling whether a request origin is allowed. "*.x.com"
+// matches any subdomain of x.com at any depth, but not x.com itself.
+function createOriginMatcher(patterns) {
+  const exact = new Set();
+  const wildcards = [];
+  patterns.forEach(pattern => {
+    const [, scheme, wildcard, host, port = ''] = pattern.toLowerCase().match(ORIGIN_PATTERN);
+    if (wildcard) {
+      wildcards.push({ prefix: `${scheme}://`, suffix: `.${host}${port}` });
+    } else {
+      exact.add(`${scheme}://${host}${port}`);
+    }
+  });
+
+  return (origin) => {
+    const candidate = origin.toLowerCase();
+    return exact.has(candidate) || wildcards.some(({ prefix, suffix }) =>
+      candidate.startsWith(prefix) &&
+      candidate.endsWith(suffix) &&
+      /^[a-z0-9-]+(?:\.[a-z0-9-]+)*$/.test(candidate.slice(prefix.length, -suffix.length))
+    );
+  };
+}
+
+function loadConfig(env = process.env) {
+  const problems = [];
+  const file = env.CONFIG_FILE ? readJsonFile(env.CONFIG_FILE, problems) : {};
+  const source = { ...file };
+  Object.entries(env).forEach(([name, value]) => {
+    if (value !== undefined && value !== '') source[name] = value;
+  });
+
+  const has = (name) => source[name] !== undefined && source[name] !== null;
+
+  const string = (name, fallback) => (has(name) ? String(source[name]) : fallback);
+
+  // Numbers must be finite and within [min, max]; `integer` also rules out fractions
+  const number = (name, fallback, { min = 0, max = Infinity, integer = false } = {}) => {
+    if (!has(name)) return fallback;
+    const value = Number(source[name]);
+    if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+      problems.push(`${name}: expected ${integer ? 'an integer' : 'a number'} ${range}, got "${source[name]}"`);
+      return fallback;
+    }
+    return value;
+  };
+
+  const boolean = (name, fallback) => {
+    if (!has(name)) return fallback;
+    const value = String(source[name]).toLowerCase();
+    if (value === 'true' || value === 'false') return value === 'true';
+    problems.push(`${name}: expected true or false, got "${source[name]}"`);
+    return fallback;
+  };
+
+  const oneOf = (name, choices, fallback) => {
+    if (!has(name)) return fallback;
+    const value = String(source[name]).toLowerCase();
+    if (choices.includes(value)) return value;
+    problems.push(`${name}: expected one of ${choices.join(', ')}, got "${source[name]}"`);
+    return fallback;
+  };
+
+  // Comma-separated in the environment, an array in the JSON file
+  const list = (name, fallback) => {
+    if (!has(name)) return fallback;
+    const values = Array.isArray(source[name]) ? source[name] : String(source[name]).split(',');
+    return values.map(value => String(value).trim()).filter(Boolean);
+  };
+
+  const numberList = (name, fallback, options) => {
+    if (!has(name)) return fallback;
+    return list(name, []).map((value, index) => {
+      const parsed = Number(value);
+      if (!Number.isFinite(parsed) || parsed < (options?.min ?? 0)) {
+        problems.push(`${name}: entry ${index + 1} ("${value}") is not a valid number`);
+      }
+      return parsed;
+    });
+  };
+
+  // Secrets can come from a file instead, e.g. a mounted Docker or k8s secret
+  const secret = (name, fallback) => {
+    const path = string(`${name}_FILE`);
+    if (!path) return string(name, fallback);
+    try {
+      return fs.readFileSync(path, 'utf8').trim();
+    } catch (error) {
+      problems.push(`${name}_FILE: cannot read ${path} (${error.message})`);
+      return fallback;
+    }
+  };
+
+  const nodeEnv = string('NODE_ENV', 'development');
+  const isProduction = nodeEnv === 'production';
+
+  // ALLOWED_ORIGINS and FRONTEND_URL together; the built-in defaults apply
+  // only when neither is set
+  const configuredOrigins = [...list('ALLOWED_ORIGINS', []), ...list('FRONTEND_URL', [])]
+    .map(origin => origin.replace(/\/+$/, ''));
+  configuredOrigins.forEach(origin => {
+    if (!ORIGIN_PATTERN.test(origin)) {
+      problems.push(`ALLOWED_ORIGINS: "${origin}" is not an origin like https://chat.example.com or https://*.example.com`);
+    }
+  });
+  const allowedOrigins = configuredOrigins.length > 0
+    ? [...new Set(configuredOrigins)]
+    : [...DEFAULT_ORIGINS, ...(isProduction ? [] : DEV_ORIGINS)];
+
+  // The default room is seeded from a verifier and KDF salt derived ahead of
+  // time with `npm run room-verifier`, so its passphrase never reaches the
+  // server. With CHAT_ROOM_PASSCODE the server derives them itself and could
+  // decrypt the room, so that is for development only.
+  const roomVerifier = secret('CHAT_ROOM_VERIFIER', '');
+  const roomKdf = {
+    salt: string('CHAT_ROOM_SALT', ''),
+    iterations: number('CHAT_ROOM_KDF_ITERATIONS', KDF_ITERATIONS, { min: MIN_KDF_ITERATIONS, integer: true })
+  };
+  const seeded = Boolean(roomVerifier || roomKdf.salt);
+  const passphrase = secret('CHAT_ROOM_PASSCODE', '');
+  if (seeded) {
+    if (!isValidVerifier(roomVerifier)) {
+      problems.push('CHAT_ROOM_VERIFIER: expected the base64 verifier printed by npm run room-verifier');
+    }
+    if (!isValidKdf(roomKdf)) {
+      problems.push('CHAT_ROOM_SALT: expected the base64 salt printed by npm run room-verifier');
+    }
+    if (passphrase) {
+      problems.push('CHAT_ROOM_PASSCODE: set either it or CHAT_ROOM_VERIFIER and CHAT_ROOM_SALT, not both');
+    }
+  } else if (isProduction) {
+    problems.push(passphrase
+      ? 'CHAT_ROOM_PASSCODE: not allowed in production, the server could decrypt the default room; set CHAT_ROOM_VERIFIER and CHAT_ROOM_SALT from npm run room-verifier instead'
+      : 'CHAT_ROOM_VERIFIER and CHAT_ROOM_SALT: required in production (see npm run room-verifier)');
+  }
+
+  const redisUrl = string('REDIS_URL', '');
+  const sessionSecret = secret('SESSION_SECRET', '');
+  if (sessionSecret && sessionSecret.length < 32) {
+    problems.push('SESSION_SECRET: must be at least 32 characters');
+  }
+  // Instances sharing Redis must sign and verify the same tokens
+  if (!sessionSecret && redisUrl) {
+    problems.push('SESSION_SECRET: required with REDIS_URL, every instance needs the same one');
+  }
+
+  // Bearer tokens for the admin API and /metrics. Without ADMIN_TOKEN the
+  // admin routes don't exist; without METRICS_TOKEN /metrics is public, which
+  // is only allowed outside production.
+  const adminToken = secret('ADMIN_TOKEN', '');
+  const metricsToken = secret('METRICS_TOKEN', '');
+  if (!metricsToken && isProduction) {
+    problems.push('METRICS_TOKEN: required in production (or METRICS_TOKEN_FILE)');
+  }
+  [['ADMIN_TOKEN', adminToken], ['METRICS_TOKEN', metricsToken]].forEach(([name, token]) => {
+    if (token && token.length < 32) problems.push(`${name}: must be at least 32 characters`);
+  });
+
+  const defaultTtlMs = number('DEFAULT_MESSAGE_TTL_MS', 0, { integer: true });
+  if (defaultTtlMs && (defaultTtlMs < MIN_MESSAGE_TTL_MS || defaultTtlMs > MAX_MESSAGE_TTL_MS)) {
+    problems.push(`DEFAULT_MESSAGE_TTL_MS: must be 0 or between ${MIN_MESSAGE_TTL_MS} and ${MAX_MESSAGE_TTL_MS}`);
+  }
+
+  const bucket = (perSecondName, perSecond, burstName, burst) => ({
+    perSecond: number(perSecondName, perSecond, { min: 0.001 }),
+    burst: number(burstName, burst, { min: 1 })
+  });
+
+  const loginLimit = (freeAttemptsName, freeAttempts) => ({
+    freeAttempts: number(freeAttemptsName, freeAttempts, { min: 1, integer: true }),
+    baseLockoutMs: number('LOGIN_BASE_LOCKOUT_MS', 30 * 1000, { min: 1 }),
+    maxLockoutMs: number('LOGIN_MAX_LOCKOUT_MS', 60 * 60 * 1000, { min: 1 }),
+    windowMs: number('LOGIN_WINDOW_MS', 60 * 60 * 1000, { min: 1 })
+  });
+
+  const config = {
+    env: nodeEnv,
+    port: number('PORT', 3001, { integer: true, max: 65535 }),
+    // JSON lines for log collectors in production, readable lines otherwise
+    log: {
+      level: oneOf('LOG_LEVEL', Object.keys(LEVELS), 'info'),
+      format: oneOf('LOG_FORMAT', ['json', 'pretty'], isProduction ? 'json' : 'pretty')
+    },
+    // How long a shutdown waits for clients to flush before closing their sockets
+    shutdownGraceMs: number('SHUTDOWN_GRACE_MS', 5000, { integer: true }),
+    allowedOrigins,
+    // Let req.ip reflect the real client when running behind Render's proxy
+    trustProxy: boolean('TRUST_PROXY', false),
+    // Shared state and pub/sub for running several instances; empty for just one
+    redisUrl,
+    session: {
+      secret: sessionSecret || crypto.randomBytes(32).toString('hex'),
+      generatedSecret: !sessionSecret,
+      ttlMs: number('SESSION_TTL_MS', 15 * 60 * 1000, { min: 60 * 1000 })
+    },
+    admin: {
+      token: adminToken,
+      metricsToken
+    },
+    defaultRoom: {
+      name: string('DEFAULT_ROOM', 'lobby'),
+      verifier: seeded ? roomVerifier : null,
+      kdf: seeded ? roomKdf : null,
+      // Development only, when no verifier is set
+      passphrase: seeded ? null : passphrase || 'secret123',
+      // Grants the owner role in the default room; other rooms set theirs at creation
+      adminPassphrase: secret('ADMIN_PASSPHRASE', ''),
+      // Lifetime of messages that don't set their own, 0 for none
+      messageTtlMs: defaultTtlMs
+    },
+    // Rooms people create. The cap counts the default room, which never expires.
+    rooms: {
+      max: number('MAX_ROOMS', 1000, { min: 1, integer: true }),
+      // Rooms with no login, join or message for this long go away
+      idleTtlMs: number('ROOM_IDLE_TTL_MS', 7 * 24 * 60 * 60 * 1000, { min: 60 * 1000, integer: true })
+    },
+    history: {
+      limit: number('HISTORY_LIMIT', 50, { integer: true }),
+      maxAgeMs: number('HISTORY_MAX_AGE_MS', 60 * 60 * 1000, { min: 1000 })
+    },
+    messages: {
+      // Decoded ciphertext size; the UI caps messages at 1000 characters
+      maxBytes: number('MAX_MESSAGE_BYTES', 8 * 1024, { min: 256, integer: true }),
+      // How long authors may edit or delete their own messages
+      editWindowMs: number('EDIT_WINDOW_MS', 5 * 60 * 1000, { min: 1000 }),
+      // Typing indicators clear after this long without a refresh from the typer
+      typingTtlMs: number('TYPING_TTL_MS', 6000, { min: 1000, integer: true })
+    },
+    // Encrypted attachments are held in memory, so both caps matter
+    attachments: {
+      maxBytes: number('MAX_ATTACHMENT_BYTES', 5 * 1024 * 1024, { min: 1, integer: true }),
+      maxStorageBytes: number('MAX_ATTACHMENT_STORAGE_BYTES', 100 * 1024 * 1024, { min: 1, integer: true }),
+      types: list('ATTACHMENT_TYPES', [
+        'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf', 'text/plain', 'application/zip'
+      ]).map(type => type.toLowerCase())
+    },
+    rateLimits: {
+      events: {
+        'chat message': bucket('RATE_MESSAGES_PER_SEC', 1, 'RATE_MESSAGE_BURST', 5),
+        'direct message': bucket('RATE_DIRECT_MESSAGES_PER_SEC', 1, 'RATE_DIRECT_MESSAGE_BURST', 5),
+        'typing': bucket('RATE_TYPING_PER_SEC', 2, 'RATE_TYPING_BURST', 6),
+        'update alias': bucket('RATE_ALIAS_PER_SEC', 0.1, 'RATE_ALIAS_BURST', 3),
+        'activity': bucket('RATE_ACTIVITY_PER_SEC', 0.5, 'RATE_ACTIVITY_BURST', 5),
+        // Reactions, edits and deletes share one bucket
+        'message action': bucket('RATE_ACTIONS_PER_SEC', 2, 'RATE_ACTION_BURST', 10),
+        // Starting an upload
+        'attachment': bucket('RATE_ATTACHMENTS_PER_SEC', 0.2, 'RATE_ATTACHMENT_BURST', 3),
+        // Chunks of uploads, enough for a file of the default maximum size in one go
+        'attachment chunk': bucket('RATE_CHUNKS_PER_SEC', 20, 'RATE_CHUNK_BURST', 100),
+        'attachment fetch': bucket('RATE_FETCHES_PER_SEC', 2, 'RATE_FETCH_BURST', 20)
+      },
+      ip: bucket('RATE_IP_MESSAGES_PER_SEC', 3, 'RATE_IP_MESSAGE_BURST', 15),
+      // Room creation per IP: a few at once, then one every ten minutes
+      roomCreation: bucket('RATE_ROOM_CREATES_PER_SEC', 1 / 600, 'RATE_ROOM_CREATE_BURST', 5),
+      // More than `maxRepeats` copies of one message within `windowMs` is spam
+      repeat: {
+        windowMs: number('SPAM_REPEAT_WINDOW_MS', 30 * 1000, { min: 1 }),
+        maxRepeats: number('SPAM_MAX_REPEATS', 2, { min: 1, integer: true }),
+        maxTracked: 20
+      },
+      muteStepsMs: numberList('RATE_MUTE_STEPS_MS', [5000, 15000, 60000, 300000], { min: 1 }),
+      strikeDecayMs: number('RATE_STRIKE_DECAY_MS', 10 * 60 * 1000, { min: 1 }),
+      maxStrikes: number('RATE_MAX_STRIKES', 6, { min: 1, integer: true })
+    },
+    // An IP or a room past its free attempts is locked out. Logins to a locked
+    // room still get through with a solved proof of work of `proofOfWorkBits`,
+    // so guessers spread over many addresses can't keep the people who know the
+    // passphrase out.
+    loginLimits: {
+      ip: loginLimit('LOGIN_IP_FREE_ATTEMPTS', 5),
+      room: loginLimit('LOGIN_ROOM_FREE_ATTEMPTS', 25),
+      proofOfWorkBits: number('LOGIN_POW_BITS', 16, { min: 1, max: 32, integer: true })
+    }
+  };
+
+  if (config.rateLimits.muteStepsMs.length === 0) {
+    problems.push('RATE_MUTE_STEPS_MS: needs at least one duration');
+  }
+  if (config.attachments.types.length === 0) {
+    problems.push('ATTACHMENT_TYPES: needs at least one MIME type');
+  }
+
+  if (problems.length > 0) {
+    // Shared settings like LOGIN_WINDOW_MS are read more than once
+    throw new ConfigError([...new Set(problems)]);
+  }
+  return config;
+}
+
+// The config as it is safe to log: secrets are replaced, credentials in the
+// Redis URL are masked
+function redactConfig(config) {
+  const redact = (value) => (value ? '[redacted]' : '[not set]');
+  const redisUrl = (() => {
+    if (!config.redisUrl) return '';
+    try {
+      const url = new URL(config.redisUrl);
+      if (url.password) url.password = '[redacted]';
+      return url.toString();
+    } catch {
+      return '[redacted]';
+    }
+  })();
+
+  return {
+    ...config,
+    redisUrl,
+    session: {
+      ...config.session,
+      secret: config.session.generatedSecret ? '[random, per process]' : redact(config.session.secret)
+    },
+    admin: {
+      token: redact(config.admin.token),
+      metricsToken: redact(config.admin.metricsToken)
+    },
+    defaultRoom: {
+      ...config.defaultRoom,
+      verifier: redact(config.defaultRoom.verifier),
+      passphrase: redact(config.defaultRoom.passphrase),
+      adminPassphrase: redact(config.defaultRoom.adminPassphrase)
+    }
+  };
+}
+
+module.exports = { ConfigError, loadConfig, redactConfig, createOriginMatcher };
@@ -0,0 +1,82 @@
+// Recent messages per room, kept in the shared store so late joiners and
+// reconnecting clients can catch up on any instance. Never written to disk by
+// the server itself; the backlog key expires once a room goes quiet.
+function createMessageHistory(store, { limit, maxAgeMs }) {
+  // history:<room> -> messages, oldest first, at most `limit` long
+  const historyKey = (room) => `history:${room}`;
+
+  // Self-destructing messages leave the backlog at their own deadline
+  const isFresh = (message, now) =>
+    now - Date.parse(message.timestamp) < maxAgeMs &&
+    !(message.expiresAt && Date.parse(message.expiresAt) <= now);
+
+  // Messages expire out of order, so filter rather than trim the front
+  const prune = (buffer) => {
+    const now = Date.now();
+    return (buffer || []).filter(message => isFresh(message, now));
+  };
+
+  const load = async (room) => prune(await store.get(historyKey(room)));
+
+  // Applies `fn` to the fresh backlog; an empty result drops the key
+  const modify = (room, fn) =>
+    store.update(historyKey(room), (buffer) => {
+      const next = fn(prune(buffer));
+      return next.length > 0 ? next : null;
+    }, { ttlMs: maxAgeMs });
+
+  return {
+    async append(room, message) {
+      if (limit <= 0) return;
+
+      await modify(room, buffer => [...buffer, message].slice(-limit));
+    },
+
+    // Messages after `lastSeenId`, or everything retained when the id is
+    // missing or has already been evicted
+    async since(room, lastSeenId) {
+      const buffer = await load(room);
+      const lastSeenIndex = lastSeenId
+        ? buffer.findIndex(message => message.id === lastSeenId)
+        : -1;
+      return buffer.slice(lastSeenIndex + 1);
+    },
+
+    async find(room, id) {
+      return (await load(room)).find(message => message.id === id) || null;
+    },
+
+    // Replaces a stored message with `fn(message)`, so reactions and edits
+    // show up in the backlog. `fn` may throw to abort. Returns the new
+    // message, or null when it is no longer in the backlog.
+    async change(room, id, fn) {
+      let changed = null;
+      await modify(room, buffer => {
+        // The store may retry the update, so start over every time
+        changed = null;
+        return buffer.map(message => {
+          if (message.id !== id) return message;
+          changed = fn(message);
+          return changed;
+        });
+      });
+      return changed;
+    },
+
+    // Returns true when the message was still in the backlog
+    async remove(room, id) {
+      let removed = false;
+      await modify(room, buffer => {
+        removed = buffer.some(message => message.id === id);
+        return buffer.filter(message => message.id !== id);
+      });
+      return removed;
+    },
+
+    async clear(room) {
+      await store.delete(historyKey(room));
+    }
+  };
+}
+
+module.exports = { createMessageHistory };
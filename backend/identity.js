@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+const ALIAS_PATTERN = /^[A-Za-z0-9_.-]+(?: [A-Za-z0-9_.-]+)*$/;
+const ALIAS_MAX_LENGTH = 20;
+
+// A session identity is issued once at login and carried in the session token,
+// so it survives reconnects and token refreshes.
+function createIdentity() {
+  return {
+    sid: crypto.randomBytes(12).toString('base64url'),
+    color: `hsl(${crypto.randomInt(360)}, 70%, 65%)`
+  };
+}
+
+// Short tag derived from the session id that others see next to an alias.
+// Two people can't end up with the same alias and tag by picking a name.
+function fingerprint(sid, secret) {
+  return crypto.createHmac('sha256', secret).update(sid).digest('hex').slice(0, 4);
+}
+
+const randomAlias = () => `User${crypto.randomInt(1000, 10000)}`;
+
+// Returns an error message, or null when the alias is acceptable
+function validateAlias(alias) {
+  if (typeof alias !== 'string' || alias.length === 0) {
+    return 'Alias cannot be empty';
+  }
+  if (alias.length > ALIAS_MAX_LENGTH) {
+    return `Alias must be at most ${ALIAS_MAX_LENGTH} characters`;
+  }
+  if (!ALIAS_PATTERN.test(alias)) {
+    return 'Alias may only contain letters, numbers, single spaces, ".", "_" or "-"';
+  }
+  return null;
+}
+
+module.exports = { createIdentity, fingerprint, randomAlias, validateAlias };
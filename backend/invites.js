@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./tokens');
+
+// Invite links: room owners hand out signed tokens that log someone into that
+// one room without the passphrase, until they expire or run out of uses. The
+// token only names an invite record in the shared store (memory or Redis,
+// never disk), which counts the uses and can be revoked; the record goes away
+// with the invite.
+
+const MIN_INVITE_TTL_MS = 60 * 1000;
+const MAX_INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_INVITE_USES = 100;
+const MAX_INVITES_PER_ROOM = 20;
+
+function createInviteRegistry(store, { secret }) {
+  // invite:<room>:<id> -> { id, room, roomId, createdBy, createdAt, expiresAt, maxUses, uses }
+  const inviteKey = (room, id) => `invite:${room}:${id}`;
+  // Invites are signed with their own key, so an invite can never pass for a
+  // session token or the other way round
+  const inviteSecret = crypto.createHmac('sha256', secret).update('anonychat:invite').digest('hex');
+
+  const inviteError = (code, message) => ({ error: { code, message } });
+
+  const list = async (room) => {
+    const invites = await Promise.all((await store.keys(inviteKey(room, ''))).map(key => store.get(key)));
+    return invites
+      .filter(invite => invite && invite.expiresAt > Date.now())
+      .sort((a, b) => a.createdAt - b.createdAt);
+  };
+
+  return {
+    list,
+
+    // `room` is the room object, `createdBy` the owner's session id.
+    // Returns { token, invite } or { error }.
+    async create(room, { expiresInMs, maxUses, createdBy }) {
+      if (!Number.isInteger(expiresInMs) || expiresInMs < MIN_INVITE_TTL_MS || expiresInMs > MAX_INVITE_TTL_MS) {
+        return inviteError('INVALID_INVITE_OPTIONS', 'Invites must expire between a minute and a week from now');
+      }
+      if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES) {
+        return inviteError('INVALID_INVITE_OPTIONS', `Invites can be used between 1 and ${MAX_INVITE_USES} times`);
+      }
+      if ((await list(room.name)).length >= MAX_INVITES_PER_ROOM) {
+        return inviteError('TOO_MANY_INVITES', 'This room has too many active invites, revoke some first');
+      }
+
+      const now = Date.now();
+      const invite = {
+        id: crypto.randomBytes(8).toString('hex'),
+        room: room.name,
+        roomId: room.id,
+        createdBy,
+        createdAt: now,
+        expiresAt: now + expiresInMs,
+        maxUses,
+        uses: 0
+      };
+      await store.set(inviteKey(room.name, invite.id), invite, { ttlMs: expiresInMs });
+      const { token } = signToken({ room: room.name, invite: invite.id }, inviteSecret, expiresInMs);
+      return { token, invite };
+    },
+
+    // Checks the signature and expiry of `token`.
+    // Returns { claims } or { error } with INVITE_INVALID or INVITE_EXPIRED.
+    verify(token) {
+      try {
+        const claims = verifyToken(token, inviteSecret);
+        return typeof claims.invite === 'string'
+          ? { claims }
+          : inviteError('INVITE_INVALID', 'This invite link is not valid');
+      } catch (error) {
+        return error.data.code === 'TOKEN_EXPIRED'
+          ? inviteError('INVITE_EXPIRED', 'This invite link has expired')
+          : inviteError('INVITE_INVALID', 'This invite link is not valid');
+      }
+    },
+
+    // Uses up one use of a verified invite. Returns { invite } or { error }.
+    async redeem(claims) {
+      // Atomic, so concurrent redemptions can't go past maxUses
+      let redeemed = null;
+      await store.update(inviteKey(claims.room, claims.invite), (invite) => {
+        // Runs again when Redis reports a conflicting write
+        redeemed = null;
+        if (!invite || invite.uses >= invite.maxUses) return invite;
+        redeemed = { ...invite, uses: invite.uses + 1 };
+        // The last use retires the invite
+        return redeemed.uses < redeemed.maxUses ? redeemed : null;
+      }, { ttlMs: Math.max(1, claims.exp - Date.now()) });
+
+      return redeemed
+        ? { invite: redeemed }
+        : inviteError('INVITE_INVALID', 'This invite link was revoked or used up');
+    },
+
+    // Resolves true when there was such an invite
+    async revoke(room, id) {
+      if (typeof id !== 'string' || !/^[0-9a-f]{16}$/.test(id)) return false;
+      const invite = await store.get(inviteKey(room, id));
+      await store.delete(inviteKey(room, id));
+      return Boolean(invite);
+    },
+
+    async clear(room) {
+      await Promise.all((await store.keys(inviteKey(room, ''))).map(key => store.delete(key)));
+    }
+  };
+}
+
+module.exports = { createInviteRegistry };
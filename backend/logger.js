@@ -0,0 +1,102 @@
+// Structured logging: one JSON line per event in production, a readable line
+// in development. Records are { time, level, msg, ...fields }, where `msg` is
+// a short event name and the fields are flat. The logger itself keeps
+// content and credentials out of the logs: such fields are dropped whatever
+// a caller passes, and `ip` fields are hashed.
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Message content, key material and credentials
+const REDACTED_FIELDS = new Set([
+  'ciphertext', 'iv', 'text', 'body', 'message', 'fileName',
+  'passphrase', 'adminPassphrase', 'verifier', 'token', 'secret', 'password'
+]);
+
+// Hashes addresses with a random key that is replaced every `rotateMs`. Within
+// a period one address always gives the same hash, so abuse can be followed;
+// once the key is gone the hashes can't be brute-forced back to addresses.
+function createIpHasher({ rotateMs = 24 * 60 * 60 * 1000 } = {}) {
+  let key = null;
+  let rotatesAt = 0;
+
+  return (ip) => {
+    if (Date.now() >= rotatesAt) {
+      key = crypto.randomBytes(32);
+      rotatesAt = Date.now() + rotateMs;
+    }
+    return crypto.createHmac('sha256', key).update(String(ip)).digest('hex').slice(0, 16);
+  };
+}
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code && { code: error.code }),
+  stack: error.stack
+});
+
+const clean = (fields, hashIp) => {
+  const result = {};
+  Object.entries(fields).forEach(([name, value]) => {
+    if (value === undefined || REDACTED_FIELDS.has(name)) return;
+    if (name === 'ip') {
+      result.ip = value ? hashIp(value) : value;
+    } else {
+      result[name] = value instanceof Error ? serializeError(value) : value;
+    }
+  });
+  return result;
+};
+
+const COLORS = { debug: 90, info: 36, warn: 33, error: 31 };
+
+const formatPretty = ({ time, level, msg, error, ...fields }, colors) => {
+  const label = level.toUpperCase().padEnd(5);
+  const details = Object.entries(fields).map(([name, value]) =>
+    `${name}=${typeof value === 'string' && !/\s/.test(value) ? value : JSON.stringify(value)}`
+  );
+  const line = [
+    time.slice(11, 23),
+    colors ? `\x1b[${COLORS[level]}m${label}\x1b[0m` : label,
+    msg,
+    ...details
+  ].join(' ');
+  return error ? `${line}\n${error.stack || error.message}` : line;
+};
+
+// `write` receives finished lines, stdout by default. child() loggers add
+// their fields, e.g. a connection id, to every record.
+function createLogger({
+  level = 'info',
+  format = 'json',
+  write = (line) => process.stdout.write(line + '\n'),
+  hashIp = createIpHasher(),
+  colors = format === 'pretty' && Boolean(process.stdout.isTTY)
+} = {}, bindings = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  const log = (recordLevel) => (msg, fields = {}) => {
+    if (LEVELS[recordLevel] < threshold) return;
+    const record = {
+      time: new Date().toISOString(),
+      level: recordLevel,
+      msg,
+      ...clean({ ...bindings, ...fields }, hashIp)
+    };
+    write(format === 'pretty' ? formatPretty(record, colors) : JSON.stringify(record));
+  };
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child: (fields) => createLogger({ level, format, write, hashIp, colors }, { ...bindings, ...fields })
+  };
+}
+
+// Short random id that ties together the records of one connection or request
+const correlationId = () => crypto.randomBytes(4).toString('hex');
+
+module.exports = { LEVELS, createLogger, createIpHasher, correlationId };
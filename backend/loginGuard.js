@@ -0,0 +1,37 @@
+// Failed login tracking for brute-force protection, kept in the shared store so
+// every instance sees the same counters.
+// After `freeAttempts` failures a key is locked out, and every further failure
+// doubles the lockout up to `maxLockoutMs`. Keys are forgotten after `windowMs`
+// without failures. `name` keeps the counters of different guards apart.
+function createLoginGuard(store, { name, freeAttempts, baseLockoutMs, maxLockoutMs, windowMs }) {
+  // login:<name>:<key> -> { failures, lockedUntil }
+  const storeKey = (key) => `login:${name}:${key}`;
+
+  return {
+    // Milliseconds until `key` may try again, 0 when it isn't locked out
+    async retryAfter(key) {
+      const entry = await store.get(storeKey(key));
+      return entry ? Math.max(0, entry.lockedUntil - Date.now()) : 0;
+    },
+
+    async recordFailure(key) {
+      await store.update(storeKey(key), (entry) => {
+        const now = Date.now();
+        const next = entry || { failures: 0, lockedUntil: 0 };
+        next.failures += 1;
+
+        if (next.failures >= freeAttempts) {
+          const lockoutMs = Math.min(maxLockoutMs, baseLockoutMs * 2 ** (next.failures - freeAttempts));
+          next.lockedUntil = now + lockoutMs;
+        }
+        return next;
+      }, { ttlMs: windowMs });
+    },
+
+    async reset(key) {
+      await store.delete(storeKey(key));
+    }
+  };
+}
+
+module.exports = { createLoginGuard };
@@ -0,0 +1,118 @@
+// A small metrics registry rendered in the Prometheus text format for /metrics.
+// Counters are per instance, like Prometheus expects; gauges are read when
+// scraped. Nothing here ever sees message content.
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+function createMetrics() {
+  // { name, help, type, collect: async () => [{ labels, value }] }
+  const metrics = [];
+
+  // Returns { inc(labels, amount) }. An unlabelled counter reports 0 until used.
+  const counter = (name, help) => {
+    // label set as JSON -> { labels, value }
+    const values = new Map();
+    metrics.push({
+      name,
+      help,
+      type: 'counter',
+      collect: () => (values.size > 0 ? Array.from(values.values()) : [{ labels: {}, value: 0 }])
+    });
+
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = JSON.stringify(labels);
+        const entry = values.get(key) || { labels, value: 0 };
+        entry.value += amount;
+        values.set(key, entry);
+      }
+    };
+  };
+
+  // `collect` returns a number or [{ labels, value }], possibly async
+  const gauge = (name, help, collect) => {
+    metrics.push({
+      name,
+      help,
+      type: 'gauge',
+      collect: async () => {
+        const result = await collect();
+        return typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+      }
+    });
+  };
+
+  const render = async () => {
+    const blocks = await Promise.all(metrics.map(async ({ name, help, type, collect }) => {
+      const samples = await collect();
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} ${type}`,
+        ...samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${Number.isFinite(value) ? value : 0}`)
+      ].join('\n');
+    }));
+    return blocks.join('\n') + '\n';
+  };
+
+  return { counter, gauge, render };
+}
+
+// Events per second over the last `windowSeconds`, in one-second buckets
+function createRateWindow(windowSeconds = 60) {
+  const buckets = new Array(windowSeconds).fill(0);
+  let current = Math.floor(Date.now() / 1000);
+
+  // Clears the buckets of the seconds that passed without events
+  const advance = () => {
+    const now = Math.floor(Date.now() / 1000);
+    for (let second = Math.max(current + 1, now - windowSeconds + 1); second <= now; second++) {
+      buckets[second % windowSeconds] = 0;
+    }
+    current = Math.max(current, now);
+  };
+
+  return {
+    mark() {
+      advance();
+      buckets[current % windowSeconds]++;
+    },
+
+    perSecond() {
+      advance();
+      return buckets.reduce((sum, count) => sum + count, 0) / windowSeconds;
+    }
+  };
+}
+
+// Event loop delay since the previous read, in seconds
+function createEventLoopMonitor() {
+  const histogram = monitorEventLoopDelay({ resolution: 20 });
+  histogram.enable();
+
+  return {
+    read() {
+      const toSeconds = (ns) => (histogram.count > 0 ? ns / 1e9 : 0);
+      const result = [
+        { labels: { stat: 'mean' }, value: toSeconds(histogram.mean) },
+        { labels: { stat: 'p99' }, value: toSeconds(histogram.percentile(99)) },
+        { labels: { stat: 'max' }, value: toSeconds(histogram.max) }
+      ];
+      histogram.reset();
+      return result;
+    },
+
+    stop() {
+      histogram.disable();
+    }
+  };
+}
+
+module.exports = { createMetrics, createRateWindow, createEventLoopMonitor };
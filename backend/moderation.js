@@ -0,0 +1,49 @@
+// Per-room bans and moderator mutes, kept in the shared store.
+// Bans apply to a session identity or to an IP address; mutes to an identity.
+
+const MIN_MUTE_MS = 10 * 1000;
+const MAX_MUTE_MS = 24 * 60 * 60 * 1000;
+
+function createModeration(store) {
+  // bans:<room> -> { sessions: [sessionId], ips: [ip] }
+  const bansKey = (room) => `bans:${room}`;
+  // mute:<room>:<sessionId> -> until, expiring with the mute itself
+  const muteKey = (room, sessionId) => `mute:${room}:${sessionId}`;
+
+  return {
+    async isBanned(room, { sessionId, ip }) {
+      const bans = await store.get(bansKey(room));
+      if (!bans) return false;
+      return bans.sessions.includes(sessionId) || bans.ips.includes(ip);
+    },
+
+    async ban(room, { sessionId, ip }) {
+      await store.update(bansKey(room), (bans) => {
+        const next = bans || { sessions: [], ips: [] };
+        if (sessionId && !next.sessions.includes(sessionId)) next.sessions.push(sessionId);
+        if (ip && !next.ips.includes(ip)) next.ips.push(ip);
+        return next;
+      });
+    },
+
+    // Clamps the duration and returns the effective mute length in ms
+    async mute(room, sessionId, durationMs) {
+      const duration = Math.min(MAX_MUTE_MS, Math.max(MIN_MUTE_MS, Number(durationMs) || MIN_MUTE_MS));
+      await store.set(muteKey(room, sessionId), Date.now() + duration, { ttlMs: duration });
+      return duration;
+    },
+
+    // Milliseconds left on a moderator mute, 0 when not muted
+    async mutedFor(room, sessionId) {
+      const until = await store.get(muteKey(room, sessionId));
+      return until ? Math.max(0, until - Date.now()) : 0;
+    },
+
+    // Mutes belong to sessions of the old room and run out by themselves
+    async clear(room) {
+      await store.delete(bansKey(room));
+    }
+  };
+}
+
+module.exports = { createModeration };
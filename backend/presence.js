@@ -0,0 +1,53 @@
+// Who is connected to which room, across every server instance. Each socket
+// is one entry in the room's presence hash, tagged with the instance holding
+// it. Instances renew a heartbeat key; entries of an instance whose heartbeat
+// ran out (it crashed or was killed) are ignored and cleaned up lazily.
+function createPresence(store, { instanceId, heartbeatMs = 15 * 1000 }) {
+  // presence:<room> -> socket id -> client
+  const roomKey = (room) => `presence:${room}`;
+  const instanceKey = (id) => `instance:${id}`;
+
+  const heartbeat = () =>
+    store.set(instanceKey(instanceId), { seenAt: Date.now() }, { ttlMs: heartbeatMs * 3 });
+
+  return {
+    heartbeat,
+
+    async add(client) {
+      await store.hashSet(roomKey(client.room), client.id, { ...client, instanceId });
+    },
+
+    async update(client) {
+      await store.hashSet(roomKey(client.room), client.id, client);
+    },
+
+    async remove(room, socketId) {
+      await store.hashDelete(roomKey(room), socketId);
+    },
+
+    async get(room, socketId) {
+      return store.hashGet(roomKey(room), socketId);
+    },
+
+    // Connected clients of `room`, on any live instance
+    async list(room) {
+      const clients = Object.values(await store.hashGetAll(roomKey(room)));
+      const instanceIds = [...new Set(clients.map(client => client.instanceId))];
+      const live = new Set();
+      await Promise.all(instanceIds.map(async (id) => {
+        if (id === instanceId || await store.get(instanceKey(id))) live.add(id);
+      }));
+
+      const stale = clients.filter(client => !live.has(client.instanceId));
+      await Promise.all(stale.map(client => store.hashDelete(roomKey(room), client.id)));
+      return clients.filter(client => live.has(client.instanceId));
+    },
+
+    // Forget this instance on shutdown, so peers don't wait out the heartbeat
+    async stop() {
+      await store.delete(instanceKey(instanceId));
+    }
+  };
+}
+
+module.exports = { createPresence };
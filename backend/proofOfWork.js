@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./tokens');
+
+// Proof of work for logins to a room that is being guessed at. Rather than
+// lock everyone out, each attempt has to come with a solved challenge: a
+// nonce that gives SHA-256("<challenge>:<nonce>") `difficulty` leading zero
+// bits. A browser solves one in about a second, a brute force has to pay that
+// for every guess, from however many IPs it comes. Challenges are signed, so
+// the server keeps nothing until one is used; each works for one attempt.
+
+const CHALLENGE_TTL_MS = 2 * 60 * 1000;
+const MAX_NONCE_LENGTH = 32;
+
+const leadingZeroBits = (digest) => {
+  let bits = 0;
+  for (const byte of digest) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+function createProofOfWork(store, { secret, difficulty }) {
+  // Signed apart from sessions and invites, so none passes for another
+  const challengeSecret = crypto.createHmac('sha256', secret).update('anonychat:login-challenge').digest('hex');
+  // pow:<challenge digest> -> true once the challenge was used
+  const usedKey = (token) => `pow:${crypto.createHash('sha256').update(token).digest('hex')}`;
+
+  return {
+    // { token, difficulty } for one login attempt to `room`
+    issue(room) {
+      const { token } = signToken({ room, pow: difficulty }, challengeSecret, CHALLENGE_TTL_MS);
+      return { token, difficulty };
+    },
+
+    // Resolves true when `proof` ({ token, nonce }) solves an unused challenge
+    // for `room`, and uses it up
+    async verify(room, proof) {
+      const { token, nonce } = proof || {};
+      if (typeof nonce !== 'string' || nonce.length > MAX_NONCE_LENGTH) return false;
+
+      let claims;
+      try {
+        claims = verifyToken(token, challengeSecret);
+      } catch {
+        return false;
+      }
+      if (claims.room !== room || !Number.isInteger(claims.pow)) return false;
+
+      const digest = crypto.createHash('sha256').update(`${token}:${nonce}`).digest();
+      if (leadingZeroBits(digest) < claims.pow) return false;
+
+      return store.setIfAbsent(usedKey(token), true, { ttlMs: CHALLENGE_TTL_MS });
+    }
+  };
+}
+
+module.exports = { createProofOfWork, leadingZeroBits };
@@ -0,0 +1,102 @@
+// The socket protocol as defined in shared/protocol.json, which the frontend
+// imports too: version negotiation and payload validation against the specs.
+const protocol = require('../shared/protocol.json');
+
+// Clients from before version negotiation send no version and speak version 1
+const LEGACY_VERSION = 1;
+
+const isBinary = (value) =>
+  Buffer.isBuffer(value) || ArrayBuffer.isView(value) || value instanceof ArrayBuffer;
+
+const TYPES = {
+  string: { check: value => typeof value === 'string', label: 'a string' },
+  integer: { check: Number.isInteger, label: 'an integer' },
+  number: { check: Number.isFinite, label: 'a number' },
+  boolean: { check: value => typeof value === 'boolean', label: 'true or false' },
+  binary: { check: isBinary, label: 'binary data' },
+  object: {
+    check: value => typeof value === 'object' && value !== null && !Array.isArray(value) && !isBinary(value),
+    label: 'an object'
+  },
+  array: { check: Array.isArray, label: 'a list' },
+  any: { check: () => true, label: 'anything' }
+};
+
+// Expands "string?" shorthands and $refs into { type, optional, ... }
+const resolve = (spec) => {
+  if (typeof spec === 'string') {
+    const optional = spec.endsWith('?');
+    return { type: optional ? spec.slice(0, -1) : spec, optional };
+  }
+  if (spec.$ref) {
+    const { $ref, ...overrides } = spec;
+    return { ...resolve(protocol.types[$ref]), ...overrides };
+  }
+  return spec;
+};
+
+// Returns the first problem, e.g. 'ciphertext must be a string', or null.
+// Fields the spec doesn't know are let through for newer clients.
+const check = (spec, value, path) => {
+  const { type, optional, enum: choices, maxLength, min, fields, items } = resolve(spec);
+  const name = path || 'payload';
+
+  if (value === undefined || value === null) {
+    return optional ? null : `${name} is required`;
+  }
+  if (choices) {
+    return choices.includes(value) ? null : `${name} must be one of ${choices.join(', ')}`;
+  }
+  if (!TYPES[type].check(value)) return `${name} must be ${TYPES[type].label}`;
+  if (maxLength !== undefined && value.length > maxLength) {
+    return `${name} must be at most ${maxLength} long`;
+  }
+  if (min !== undefined && value < min) return `${name} must be at least ${min}`;
+
+  for (const [field, fieldSpec] of Object.entries(fields || {})) {
+    const problem = check(fieldSpec, value[field], path ? `${path}.${field}` : field);
+    if (problem) return problem;
+  }
+  if (items) {
+    for (let index = 0; index < value.length; index++) {
+      const problem = check(items, value[index], `${name}[${index}]`);
+      if (problem) return problem;
+    }
+  }
+  return null;
+};
+
+const PROTOCOL_VERSION = protocol.version;
+
+// The version to speak with a client offering `offered`, or null when the
+// client is too old (or sends nonsense)
+const negotiateVersion = (offered = LEGACY_VERSION) => {
+  if (!Number.isInteger(offered) || offered < protocol.minVersion) return null;
+  return Math.min(offered, protocol.version);
+};
+
+const isClientEvent = (event) => Object.hasOwn(protocol.clientEvents, event);
+
+// Checks the payload of an event from a client. Returns null when it is fine,
+// otherwise an error with code UNKNOWN_EVENT or INVALID_PAYLOAD.
+const validateClientEvent = (event, payload) => {
+  if (!isClientEvent(event)) {
+    return { code: 'UNKNOWN_EVENT', message: `Unknown event "${event}"` };
+  }
+  const problem = check(protocol.clientEvents[event].payload, payload, '');
+  return problem ? { code: 'INVALID_PAYLOAD', message: `Invalid "${event}": ${problem}` } : null;
+};
+
+// Same for events the server sends; the tests hold the server to the schema
+const validateServerEvent = (event, payload) => {
+  if (!Object.hasOwn(protocol.serverEvents, event)) return `Unknown event "${event}"`;
+  return check(protocol.serverEvents[event].payload, payload, '');
+};
+
+module.exports = {
+  PROTOCOL_VERSION,
+  negotiateVersion,
+  isClientEvent,
+  validateClientEvent,
+  validateServerEvent
+};
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+
+// Classic token bucket: `capacity` tokens, refilled continuously at `refillPerSec`.
+// Takes `cost` tokens (one by default) from `state` ({ tokens, updatedAt }, or null for a full
+// bucket) and returns the next state plus `waitMs`: 0 when a token was
+// available, otherwise the ms until there are enough.
+function takeToken(state, capacity, refillPerSec, now = Date.now(), cost = 1) {
+  const previous = state || { tokens: capacity, updatedAt: now };
+  const tokens = Math.min(capacity, previous.tokens + ((now - previous.updatedAt) / 1000) * refillPerSec);
+
+  if (tokens >= cost) {
+    return { state: { tokens: tokens - cost, updatedAt: now }, waitMs: 0 };
+  }
+  return {
+    state: { tokens, updatedAt: now },
+    waitMs: Math.ceil(((cost - tokens) / refillPerSec) * 1000)
+  };
+}
+
+// A token bucket kept in the store under `key`, shared by every instance. The
+// key goes once an idle bucket would be full again. Resolves with 0 when `cost` tokens were available, otherwise the ms until
+// there are enough.
+async function takeStoreToken(store, key, { burst, perSecond }, cost = 1) {
+  let waitMs = 0;
+  await store.update(key, (state) => {
+    const result = takeToken(state, burst, perSecond, Date.now(), cost);
+    waitMs = result.waitMs;
+    return result.state;
+  }, { ttlMs: Math.ceil((burst / perSecond) * 1000) });
+  return waitMs;
+}
+
+// take() returns 0 when a token was available, otherwise the ms until one is
+function createTokenBucket(capacity, refillPerSec) {
+  let state = null;
+
+  return {
+    take() {
+      const result = takeToken(state, capacity, refillPerSec);
+      state = result.state;
+      return result.waitMs;
+    }
+  };
+}
+
+const limitError = (code, message, retryAfterMs) => ({
+  ok: false,
+  code,
+  message,
+  retryAfter: Math.ceil(retryAfterMs / 1000)
+});
+
+// Events that put content in front of others, with what each takes from the
+// IP bucket. A chunk is at most 64 KiB, so a 1 MiB file weighs as much as a
+// message and uploads aren't stalled by their own chunks.
+const IP_COSTS = {
+  'chat message': 1,
+  'direct message': 1,
+  'message action': 1,
+  'attachment': 1,
+  'attachment chunk': 1 / 16
+};
+
+// Flood protection for socket events. Buckets exist per connection (one per
+// event) and per IP (events that send content, shared by every socket from
+// that IP, on every instance, so it lives in the store).
+// Each violation is a strike; strikes earn escalating mutes and, past
+// `maxStrikes`, a disconnect. Strikes and mutes are kept in the store for the
+// session and for the IP, so reconnecting or logging in again doesn't clear them.
+function createRateLimiter(limits, store) {
+  // ratelimit:ip:<ip> -> { tokens, updatedAt }
+  const takeIpToken = (ip, cost) => takeStoreToken(store, `ratelimit:ip:${ip}`, limits.ip, cost);
+
+  // ratelimit:penalty:session:<sid> and ratelimit:penalty:ip:<ip>
+  //   -> { strikes, lastStrikeAt, mutedUntil }
+  const penaltyKeys = (sessionId, ip) => [`ratelimit:penalty:session:${sessionId}`, `ratelimit:penalty:ip:${ip}`];
+
+  const mutedFor = async (keys) => {
+    const now = Date.now();
+    const penalties = await Promise.all(keys.map(key => store.get(key)));
+    return Math.max(0, ...penalties.map(penalty => (penalty ? penalty.mutedUntil - now : 0)));
+  };
+
+  // Adds a strike to every key; the worst record decides the mute
+  const strike = async (keys, code, message) => {
+    const now = Date.now();
+    const strikes = await Promise.all(keys.map(async (key) => {
+      let count = 0;
+      await store.update(key, (penalty) => {
+        const recent = penalty && now - penalty.lastStrikeAt <= limits.strikeDecayMs;
+        count = (recent ? penalty.strikes : 0) + 1;
+        const muteMs = limits.muteStepsMs[Math.min(count, limits.muteStepsMs.length) - 1];
+        return { strikes: count, lastStrikeAt: now, mutedUntil: now + muteMs };
+      }, { ttlMs: Math.max(limits.strikeDecayMs, ...limits.muteStepsMs) });
+      return count;
+    }));
+
+    const worst = Math.max(...strikes);
+    const muteMs = limits.muteStepsMs[Math.min(worst, limits.muteStepsMs.length) - 1];
+    // The mute outlasts the disconnect, so coming straight back doesn't help
+    if (worst >= limits.maxStrikes) {
+      return { ...limitError('FLOODING', 'Disconnected for flooding the room', muteMs), disconnect: true };
+    }
+    return limitError(code, message, muteMs);
+  };
+
+  // ratelimit:repeats:<sid> -> [{ tag, nonce, at }] of the session's recent
+  // messages. Retries of one message share a nonce and count once.
+  const isRepeated = async (sessionId, tag, nonce) => {
+    const now = Date.now();
+    let repeats = 0;
+    await store.update(`ratelimit:repeats:${sessionId}`, (entries) => {
+      const recent = (entries || [])
+        .filter(entry => now - entry.at <= limits.repeat.windowMs && !(nonce && entry.nonce === nonce))
+        .concat({ tag, nonce: nonce || null, at: now })
+        .slice(-limits.repeat.maxTracked);
+      repeats = recent.filter(entry => entry.tag === tag).length - 1;
+      return recent;
+    }, { ttlMs: limits.repeat.windowMs });
+    return repeats >= limits.repeat.maxRepeats;
+  };
+
+  // What makes two messages "the same": the client's keyed tag of the
+  // normalized text when it sends one (the server can't read the text), else
+  // the ciphertext, which only repeats when a frame is replayed as it was
+  const repeatTagOf = ({ repeatTag, ciphertext }) =>
+    repeatTag || crypto.createHash('sha256').update(ciphertext).digest('base64');
+
+  function forConnection({ ip, sessionId }) {
+    const buckets = {};
+    const keys = penaltyKeys(sessionId, ip);
+
+    const bucketFor = (event) => {
+      if (!buckets[event]) {
+        const { burst, perSecond } = limits.events[event];
+        buckets[event] = createTokenBucket(burst, perSecond);
+      }
+      return buckets[event];
+    };
+
+    return {
+      // `message` is the { ciphertext, repeatTag?, nonce? } of a chat or direct
+      // message, checked for repeats.
+      // Returns { ok: true } or { ok: false, code, message, retryAfter, disconnect? }
+      async check(event, message) {
+        const mutedMs = await mutedFor(keys);
+        if (mutedMs > 0) {
+          return limitError('MUTED', 'You are temporarily muted', mutedMs);
+        }
+
+        if (bucketFor(event).take() > 0) {
+          return strike(keys, 'RATE_LIMITED', 'You are sending too fast and have been muted');
+        }
+        if (IP_COSTS[event] && await takeIpToken(ip, IP_COSTS[event]) > 0) {
+          return strike(keys, 'RATE_LIMITED', 'Too much coming from your network, you have been muted');
+        }
+        if (message && await isRepeated(sessionId, repeatTagOf(message), message.nonce)) {
+          return strike(keys, 'SPAM', 'Repeated messages detected, you have been muted');
+        }
+
+        return { ok: true };
+      }
+    };
+  }
+
+  return { forConnection };
+}
+
+module.exports = { createTokenBucket, takeStoreToken, createRateLimiter };
@@ -0,0 +1,23 @@
+const { deriveVerifier, generateKdfParams } = require('./rooms');
+
+// Prints CHAT_ROOM_SALT and CHAT_ROOM_VERIFIER for the default room. Run it
+// where you keep the passphrase, not on the server: the server only needs the
+// verifier, and without the passphrase it can't derive the room key.
+//
+//   npm run room-verifier < passphrase.txt
+
+async function main() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  const passphrase = Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '').trim();
+  if (!passphrase) {
+    console.error('Pass the room passphrase on stdin, e.g. npm run room-verifier < passphrase.txt');
+    process.exit(1);
+  }
+
+  const kdf = generateKdfParams();
+  console.log(`CHAT_ROOM_SALT=${kdf.salt}`);
+  console.log(`CHAT_ROOM_VERIFIER=${await deriveVerifier(passphrase, kdf)}`);
+}
+
+main();
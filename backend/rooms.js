@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const ROOM_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const KEY_LENGTH = 64;
+
+// Clients derive keys from the passphrase with PBKDF2 and then split the result
+// with HKDF into a message key (never leaves the browser) and a login verifier.
+// The server only ever stores an scrypt hash of the verifier.
+const KDF_ITERATIONS = 210000;
+const MIN_KDF_ITERATIONS = 100000;
+const KDF_SALT_BYTES = 16;
+const VERIFIER_BYTES = 32;
+const VERIFIER_INFO = 'anonychat:auth-verifier';
+
+// Bounds for self-destructing messages, per message and as a room default
+const MIN_MESSAGE_TTL_MS = 5 * 1000;
+const MAX_MESSAGE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const normalizeRoomName = (name) =>
+  typeof name === 'string' ? name.trim().toLowerCase() : '';
+
+const roomError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const isValidRoomName = (name) => ROOM_NAME_PATTERN.test(name);
+
+const isValidTtl = (ttlMs) =>
+  Number.isInteger(ttlMs) && ttlMs >= MIN_MESSAGE_TTL_MS && ttlMs <= MAX_MESSAGE_TTL_MS;
+
+// Decodes a base64 string of an exact byte length, or returns null
+const decodeBase64 = (value, length) => {
+  if (typeof value !== 'string') return null;
+  const buffer = Buffer.from(value, 'base64');
+  return buffer.length === length ? buffer : null;
+};
+
+const isValidKdf = (kdf) =>
+  Boolean(decodeBase64(kdf?.salt, KDF_SALT_BYTES)) &&
+  Number.isInteger(kdf.iterations) && kdf.iterations >= MIN_KDF_ITERATIONS;
+
+const isValidVerifier = (verifier) => Boolean(decodeBase64(verifier, VERIFIER_BYTES));
+
+async function hashVerifier(verifier, salt) {
+  return scrypt(verifier, salt, KEY_LENGTH);
+}
+
+// Server-side mirror of deriveRoomKeys() in the frontend, used by
+// `npm run room-verifier` and to seed a development default room
+async function deriveVerifier(passphrase, kdf) {
+  const salt = Buffer.from(kdf.salt, 'base64');
+  const master = await pbkdf2(passphrase, salt, kdf.iterations, 32, 'sha256');
+  const verifier = crypto.hkdfSync('sha256', master, salt, VERIFIER_INFO, VERIFIER_BYTES);
+  return Buffer.from(verifier).toString('base64');
+}
+
+const generateKdfParams = () => ({
+  salt: crypto.randomBytes(KDF_SALT_BYTES).toString('base64'),
+  iterations: KDF_ITERATIONS
+});
+
+// The admin passphrase only grants the owner role, it is not an encryption
+// key, so unlike the room passphrase it is sent to and hashed by the server
+async function hashAdminPassphrase(adminPassphrase) {
+  if (!adminPassphrase) return null;
+  const salt = crypto.randomBytes(16);
+  return { salt, hash: await scrypt(adminPassphrase, salt, KEY_LENGTH) };
+}
+
+// Stand-in compared against for unknown rooms, so a miss costs the same scrypt
+// work as a wrong passphrase and response times don't reveal which rooms exist
+const decoyRoom = {
+  salt: crypto.randomBytes(16),
+  verifierHash: crypto.randomBytes(KEY_LENGTH)
+};
+
+// Rooms live in the shared store as
+// { id, name, kdf: { salt, iterations }, salt, verifierHash, admin, defaultTtlMs, createdAt }
+// where `admin` is { salt, hash } of the optional admin passphrase, or null,
+// and `defaultTtlMs` is the lifetime of messages that don't set one (null: forever).
+// `id` is random per room, so sessions issued for a closed room don't carry
+// over to a new room created under the same name.
+// Binary fields are base64 in the store and Buffers everywhere else.
+// Rooms other than the configured default expire after `idleTtlMs` without a
+// login, join or message. At most `maxRooms` exist at once, the default included.
+function createRoomRegistry(store, { idleTtlMs = null, maxRooms = Infinity } = {}) {
+  const ROOM_PREFIX = 'room:';
+  const roomKey = (name) => ROOM_PREFIX + name;
+  // name -> when this instance last pushed the room's expiry back
+  const touchedAt = new Map();
+
+  const encode = (room) => ({
+    ...room,
+    salt: room.salt.toString('base64'),
+    verifierHash: room.verifierHash.toString('base64'),
+    admin: room.admin && {
+      salt: room.admin.salt.toString('base64'),
+      hash: room.admin.hash.toString('base64')
+    },
+    createdAt: room.createdAt.toISOString()
+  });
+
+  const decode = (stored) => ({
+    ...stored,
+    salt: Buffer.from(stored.salt, 'base64'),
+    verifierHash: Buffer.from(stored.verifierHash, 'base64'),
+    admin: stored.admin && {
+      salt: Buffer.from(stored.admin.salt, 'base64'),
+      hash: Buffer.from(stored.admin.hash, 'base64')
+    },
+    createdAt: new Date(stored.createdAt)
+  });
+
+  async function getRoom(name) {
+    const stored = await store.get(roomKey(normalizeRoomName(name)));
+    return stored ? decode(stored) : null;
+  }
+
+  // `permanent` rooms never expire and are created even when the cap is reached
+  async function createRoom(name, { kdf, verifier, adminPassphrase, defaultTtlMs, permanent = false }) {
+    const roomName = normalizeRoomName(name);
+
+    if (!isValidRoomName(roomName)) {
+      throw roomError('Room names must be 1-32 characters: letters, numbers, "-" or "_"', 'INVALID_ROOM_NAME');
+    }
+    if (!isValidKdf(kdf)) {
+      throw roomError('Invalid key derivation parameters', 'INVALID_KDF');
+    }
+    if (!isValidVerifier(verifier)) {
+      throw roomError('Invalid passphrase verifier', 'INVALID_VERIFIER');
+    }
+    if (adminPassphrase !== undefined && (typeof adminPassphrase !== 'string' || adminPassphrase.length > 256)) {
+      throw roomError('Invalid admin passphrase', 'INVALID_ADMIN_PASSPHRASE');
+    }
+    if (defaultTtlMs && !isValidTtl(defaultTtlMs)) {
+      throw roomError('Invalid default message lifetime', 'INVALID_TTL');
+    }
+    if (await getRoom(roomName)) {
+      throw roomError('Room already exists', 'ROOM_EXISTS');
+    }
+    if (!permanent && (await store.keys(ROOM_PREFIX)).length >= maxRooms) {
+      throw roomError('This server has as many rooms as it can hold, please try again later', 'TOO_MANY_ROOMS');
+    }
+
+    const salt = crypto.randomBytes(16);
+    const room = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name: roomName,
+      kdf: { salt: kdf.salt, iterations: kdf.iterations },
+      salt,
+      verifierHash: await hashVerifier(decodeBase64(verifier, VERIFIER_BYTES), salt),
+      admin: await hashAdminPassphrase(adminPassphrase),
+      defaultTtlMs: defaultTtlMs || null,
+      expiresWhenIdle: !permanent && Boolean(idleTtlMs),
+      createdAt: new Date()
+    };
+
+    // Only one of two concurrent creates, on any instance, can win
+    const ttlMs = room.expiresWhenIdle ? idleTtlMs : undefined;
+    if (!await store.setIfAbsent(roomKey(roomName), encode(room), { ttlMs })) {
+      throw roomError('Room already exists', 'ROOM_EXISTS');
+    }
+    return room;
+  }
+
+  async function listRooms() {
+    const keys = await store.keys(ROOM_PREFIX);
+    const rooms = await Promise.all(keys.map(key => store.get(key)));
+    return rooms.filter(Boolean).map(decode).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async function deleteRoom(name) {
+    touchedAt.delete(normalizeRoomName(name));
+    await store.delete(roomKey(normalizeRoomName(name)));
+  }
+
+  // Pushes the expiry of a room in use back. Each instance does so at most
+  // every tenth of `idleTtlMs` per room, so busy rooms cost no extra writes.
+  async function touchRoom(name) {
+    const roomName = normalizeRoomName(name);
+    const now = Date.now();
+    if (!idleTtlMs || now - (touchedAt.get(roomName) || 0) < idleTtlMs / 10) return;
+    touchedAt.set(roomName, now);
+
+    const stored = await store.get(roomKey(roomName));
+    if (!stored?.expiresWhenIdle) return;
+    await store.update(roomKey(roomName), current => current, { ttlMs: idleTtlMs });
+  }
+
+  async function createRoomFromPassphrase(name, passphrase, { adminPassphrase, defaultTtlMs, permanent } = {}) {
+    const kdf = generateKdfParams();
+    return createRoom(name, {
+      kdf,
+      verifier: await deriveVerifier(passphrase, kdf),
+      adminPassphrase: adminPassphrase || undefined,
+      defaultTtlMs,
+      permanent
+    });
+  }
+
+  // KDF parameters a client needs to log in. Unknown rooms get stable decoy
+  // parameters so the endpoint can't be used to probe which rooms exist.
+  async function getKdfParams(name, secret) {
+    const room = await getRoom(name);
+    if (room) return room.kdf;
+
+    const salt = crypto.createHmac('sha256', secret)
+      .update(normalizeRoomName(name))
+      .digest()
+      .subarray(0, KDF_SALT_BYTES);
+    return { salt: salt.toString('base64'), iterations: KDF_ITERATIONS };
+  }
+
+  async function verifyRoomVerifier(name, verifier) {
+    const room = await getRoom(name);
+    const target = room || decoyRoom;
+    const verifierBytes = decodeBase64(verifier, VERIFIER_BYTES);
+
+    const candidate = await hashVerifier(verifierBytes || Buffer.alloc(VERIFIER_BYTES), target.salt);
+    const matches = crypto.timingSafeEqual(candidate, target.verifierHash);
+    return Boolean(room && verifierBytes) && matches;
+  }
+
+  async function verifyAdminPassphrase(name, adminPassphrase) {
+    const room = await getRoom(name);
+    if (!room?.admin || typeof adminPassphrase !== 'string') return false;
+
+    const candidate = await scrypt(adminPassphrase, room.admin.salt, KEY_LENGTH);
+    return crypto.timingSafeEqual(candidate, room.admin.hash);
+  }
+
+  return {
+    getRoom,
+    createRoom,
+    createRoomFromPassphrase,
+    listRooms,
+    deleteRoom,
+    touchRoom,
+    getKdfParams,
+    verifyRoomVerifier,
+    verifyAdminPassphrase
+  };
+}
+
+// Lifetime for a new message: the requested TTL, capped by the room default.
+// Returns null for messages that never expire.
+function resolveMessageTtl(room, requestedTtlMs) {
+  const requested = isValidTtl(requestedTtlMs) ? requestedTtlMs : null;
+  if (room.defaultTtlMs && requested) {
+    return Math.min(requested, room.defaultTtlMs);
+  }
+  return requested || room.defaultTtlMs;
+}
+
+module.exports = {
+  MIN_MESSAGE_TTL_MS,
+  MAX_MESSAGE_TTL_MS,
+  KDF_ITERATIONS,
+  MIN_KDF_ITERATIONS,
+  normalizeRoomName,
+  isValidRoomName,
+  isValidKdf,
+  isValidVerifier,
+  deriveVerifier,
+  generateKdfParams,
+  createRoomRegistry,
+  resolveMessageTtl
+};
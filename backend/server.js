@@ -2,171 +2,1491 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./tokens');
+const { normalizeRoomName, isValidRoomName, createRoomRegistry, resolveMessageTtl } = require('./rooms');
+const { createIdentity, fingerprint, randomAlias, validateAlias } = require('./identity');
+const { createMessageHistory } = require('./history');
+const { createRateLimiter, takeStoreToken } = require('./rateLimiter');
+const { createLoginGuard } = require('./loginGuard');
+const { createProofOfWork } = require('./proofOfWork');
+const { createModeration } = require('./moderation');
+const { createAttachmentStore } = require('./attachments');
+const { createPresence } = require('./presence');
+const { createInviteRegistry } = require('./invites');
+const { createTypingTracker } = require('./typing');
+const { createMetrics, createRateWindow, createEventLoopMonitor } = require('./metrics');
+const { createLogger, correlationId } = require('./logger');
+const { PROTOCOL_VERSION, negotiateVersion, isClientEvent, validateClientEvent } = require('./protocol');
+const { createMemoryStore, createRedisStore } = require('./store');
+const { ConfigError, loadConfig, redactConfig, createOriginMatcher } = require('./config');
 
-const app = express();
-const server = http.createServer(app);
+// Clients upload attachments in chunks of at most this size
+const ATTACHMENT_CHUNK_BYTES = 64 * 1024;
 
-// Simple CORS configuration
-app.use(cors({
-  origin: 'https://anony-chat-one.vercel.app',
-  credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
-}));
+const MAX_ANNOUNCEMENT_LENGTH = 500;
 
-app.use(express.json());
+// `${sessionId}:${nonce}` of messages already broadcast, so a client retrying
+// after a lost ack doesn't post twice
+const NONCE_TTL_MS = 5 * 60 * 1000;
 
-const io = socketIo(server, {
-  cors: {
-    origin: 'https://anony-chat-one.vercel.app',
-    methods: ['GET', 'POST'],
-    credentials: true
+const deliveryKey = (sessionId, nonce) =>
+  typeof nonce === 'string' && nonce.length <= 64 ? `nonce:${sessionId}:${nonce}` : null;
+
+const isValidMessageId = (id) => typeof id === 'string' && id !== '' && id.length <= 64;
+
+// Emoji code points: pictographs, skin tones, ZWJ, variation selectors, flags, keycaps
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+// Digits, # and * are emoji components too, so one of these has to be there
+const EMOJI_BASE_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}{2}|\u20e3/u;
+const graphemes = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+// Exactly one emoji as the user sees it, e.g. 👍🏽, 👨‍👩‍👧, 🇫🇷 or 1️⃣, but not "7" or "👍👍"
+const isSingleEmoji = (value) =>
+  EMOJI_PATTERN.test(value) &&
+  EMOJI_BASE_PATTERN.test(value) &&
+  Array.from(graphemes.segment(value)).length === 1;
+const MAX_REACTIONS_PER_MESSAGE = 20;
+
+// Adds or removes a session's reaction, toggling unless `active` says which
+// way to go. Returns { reactions, changed } or { error }.
+const applyReaction = (reactions, emoji, sessionId, active) => {
+  const existing = reactions.find(entry => entry.emoji === emoji);
+  const hasReacted = Boolean(existing?.reactors.includes(sessionId));
+  const add = typeof active === 'boolean' ? active : !hasReacted;
+  if (add === hasReacted) return { reactions, changed: false };
+
+  if (add && !existing && reactions.length >= MAX_REACTIONS_PER_MESSAGE) {
+    return { error: { code: 'TOO_MANY_REACTIONS', message: 'This message has too many reactions' } };
   }
+
+  const next = (existing ? reactions : [...reactions, { emoji, count: 0, reactors: [] }])
+    .map(entry => {
+      if (entry.emoji !== emoji) return entry;
+      const reactors = add
+        ? [...entry.reactors, sessionId]
+        : entry.reactors.filter(reactor => reactor !== sessionId);
+      return { emoji, count: reactors.length, reactors };
+    })
+    .filter(entry => entry.count > 0);
+  return { reactions: next, changed: true };
+};
+
+const formatDuration = (ms) => {
+  if (ms < 60 * 1000) return `${Math.round(ms / 1000)}s`;
+  if (ms < 60 * 60 * 1000) return `${Math.round(ms / 60000)} min`;
+  return `${Math.round(ms / 3600000)} h`;
+};
+
+const PRESENCE_STATES = ['active', 'idle', 'away'];
+
+// What other participants see about a client, never its socket id or IP
+const toParticipant = (client) => ({
+  id: client.sessionId,
+  alias: client.alias,
+  color: client.color,
+  fingerprint: client.fingerprint,
+  role: client.role,
+  joinedAt: client.connectedAt,
+  presence: client.presence
 });
 
-// Environment variables
-const PORT = process.env.PORT || 3001;
-const CHAT_ROOM_PASSCODE = process.env.CHAT_ROOM_PASSCODE || 'secret123';
+// One entry per session identity, even when it has several sockets open
+const roomRoster = (clients) => {
+  const participants = new Map();
+  clients.forEach(client => participants.set(client.sessionId, toParticipant(client)));
+  return Array.from(participants.values());
+};
 
-// Store connected clients
-const connectedClients = new Map();
-const typingUsers = new Map();
+// What `user count` reports: people, not tabs, so it matches the roster
+const countParticipants = (clients) => new Set(clients.map(client => client.sessionId)).size;
 
-// Authentication endpoint
-app.post('/api/login', (req, res) => {
-  const { passphrase } = req.body;
-  
-  if (!passphrase) {
-    return res.status(400).json({ 
-      status: 'error', 
-      message: 'Passphrase is required' 
-    });
-  }
+const isAliasTaken = (clients, alias, sessionId) =>
+  clients.some(client =>
+    client.sessionId !== sessionId && client.alias.toLowerCase() === alias.toLowerCase()
+  );
 
-  if (passphrase === CHAT_ROOM_PASSCODE) {
-    return res.json({ 
-      status: 'success', 
-      message: 'Authentication successful' 
-    });
-  } else {
-    return res.status(401).json({ 
-      status: 'error', 
-      message: 'Invalid passphrase' 
-    });
+// Uses the requested alias when it is valid and free, otherwise a random one
+const pickAlias = (clients, requested, sessionId) => {
+  const alias = typeof requested === 'string' ? requested.trim() : '';
+  if (!validateAlias(alias) && !isAliasTaken(clients, alias, sessionId)) {
+    return alias;
   }
-});
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    message: 'Server is running',
-    connectedClients: connectedClients.size
+  let generated;
+  do {
+    generated = randomAlias();
+  } while (isAliasTaken(clients, generated, sessionId));
+  return generated;
+};
+
+// Builds the HTTP and Socket.IO servers from a config (see config.js) around
+// one state store. Instances that share a Redis store and a Redis adapter act
+// as a single chat server: broadcasts, user counts and moderation reach
+// sockets on every instance.
+function createChatServer({
+  config = loadConfig(),
+  store = createMemoryStore(),
+  adapter,
+  logger = createLogger(config.log)
+} = {}) {
+  const app = express();
+  const server = http.createServer(app);
+
+  // Requests without an Origin header (curl, health checks) aren't cross-origin
+  const isAllowedOrigin = createOriginMatcher(config.allowedOrigins);
+  const checkOrigin = (origin, callback) => callback(null, !origin || isAllowedOrigin(origin));
+
+  app.use(cors({
+    origin: checkOrigin,
+    credentials: true,
+    methods: ['GET', 'POST', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['Retry-After', 'X-Request-Id']
+  }));
+
+  // Every request gets an id for its log records, also sent back to the client
+  app.use((req, res, next) => {
+    const requestId = correlationId();
+    req.log = logger.child({ req: requestId });
+    res.set('X-Request-Id', requestId);
+    next();
   });
-});
 
-// Socket.IO connection handling (same as above)
-io.on('connection', (socket) => {
-  console.log(`User connected: ${socket.id}`);
-  
-  const userColor = `hsl(${Math.floor(Math.random() * 360)}, 70%, 65%)`;
-  
-  connectedClients.set(socket.id, {
-    id: socket.id,
-    color: userColor,
-    connectedAt: new Date(),
-    alias: `User${Math.floor(1000 + Math.random() * 9000)}`
+  app.use(express.json());
+
+  const io = socketIo(server, {
+    cors: {
+      origin: checkOrigin,
+      methods: ['GET', 'POST'],
+      credentials: true
+    },
+    ...(adapter && { adapter })
   });
 
-  io.emit('user count', connectedClients.size);
+  // Let req.ip reflect the real client when running behind Render's proxy
+  app.set('trust proxy', config.trustProxy ? 1 : false);
 
-  socket.broadcast.emit('user joined', {
-    id: socket.id,
-    message: 'A new user joined the chat',
-    timestamp: new Date().toISOString()
+  const instanceId = crypto.randomBytes(6).toString('hex');
+  const rooms = createRoomRegistry(store, { idleTtlMs: config.rooms.idleTtlMs, maxRooms: config.rooms.max });
+  const moderation = createModeration(store);
+  const presence = createPresence(store, { instanceId });
+  const history = createMessageHistory(store, config.history);
+  const invites = createInviteRegistry(store, { secret: config.session.secret });
+  const typing = createTypingTracker(store, {
+    ttlMs: config.messages.typingTtlMs,
+    onExpire: (room, sessionId, { alias }) => {
+      io.to(room).emit('user typing', { isTyping: false, alias, userId: sessionId });
+    }
+  });
+  const attachments = createAttachmentStore(store, {
+    maxBytes: config.attachments.maxBytes,
+    maxTotalBytes: config.attachments.maxStorageBytes,
+    maxAgeMs: config.history.maxAgeMs,
+    allowedTypes: config.attachments.types,
+    chunkBytes: ATTACHMENT_CHUNK_BYTES
+  });
+  const rateLimiter = createRateLimiter(config.rateLimits, store);
+  const ipLoginGuard = createLoginGuard(store, { name: 'ip', ...config.loginLimits.ip });
+  const roomLoginGuard = createLoginGuard(store, { name: 'room', ...config.loginLimits.room });
+  const proofOfWork = createProofOfWork(store, {
+    secret: config.session.secret,
+    difficulty: config.loginLimits.proofOfWorkBits
   });
 
-  socket.on('chat message', (data) => {
-    try {
-      const { message, alias, clientId } = data;
-      
-      if (!message || message.trim() === '') {
-        socket.emit('error', { message: 'Message cannot be empty' });
-        return;
-      }
+  // Served at /metrics. Counters and local gauges are this instance's,
+  // Prometheus sums them up across instances.
+  const metrics = createMetrics();
+  const messageRate = createRateWindow();
+  const eventLoop = createEventLoopMonitor();
+  const counters = {
+    connections: metrics.counter('anonychat_connections_total', 'Socket connections accepted'),
+    messages: metrics.counter('anonychat_messages_total', 'Messages relayed, by kind'),
+    loginFailures: metrics.counter('anonychat_login_failures_total', 'Rejected logins, by reason'),
+    rateLimitHits: metrics.counter('anonychat_rate_limit_hits_total', 'Events refused by the flood limits, by event and code'),
+    moderation: metrics.counter('anonychat_moderation_actions_total', 'Moderator kicks, mutes and bans')
+  };
+  metrics.gauge('anonychat_connections', 'Open socket connections on this instance',
+    () => io.of('/').sockets.size);
+  metrics.gauge('anonychat_active_rooms', 'Rooms with a connection on this instance',
+    () => new Set(Array.from(io.of('/').sockets.values(), socket => socket.data.session.room)).size);
+  metrics.gauge('anonychat_rooms', 'Rooms in the shared store',
+    async () => (await rooms.listRooms()).length);
+  metrics.gauge('anonychat_messages_per_second', 'Messages relayed per second over the last minute on this instance',
+    () => messageRate.perSecond());
+  metrics.gauge('anonychat_event_loop_lag_seconds', 'Event loop delay since the previous scrape',
+    () => eventLoop.read());
+
+  const countMessage = (kind) => {
+    counters.messages.inc({ kind });
+    messageRate.mark();
+  };
 
-      const client = connectedClients.get(socket.id);
-      if (client && alias) {
-        client.alias = alias;
-        connectedClients.set(socket.id, client);
+  // Returns an error for a missing or oversized ciphertext, null when it is fine
+  const validateCiphertext = (ciphertext, iv) => {
+    if (typeof ciphertext !== 'string' || ciphertext === '' ||
+        typeof iv !== 'string' || iv === '') {
+      return { code: 'EMPTY_MESSAGE', message: 'Message cannot be empty' };
+    }
+    if (Buffer.byteLength(ciphertext, 'base64') > config.messages.maxBytes) {
+      return { code: 'MESSAGE_TOO_LARGE', message: 'Message is too long' };
+    }
+    return null;
+  };
+
+  // Behind a proxy (Render) the real client address is in X-Forwarded-For
+  const clientIp = (socket) => {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    if (config.trustProxy && forwarded) {
+      return forwarded.split(',')[0].trim();
+    }
+    return socket.handshake.address;
+  };
+
+  // Every login gets a fresh identity that stays in the token across refreshes.
+  // `role` is 'owner' for room creators and admin passphrase holders. The room
+  // id ties the session to this room, not to a later one of the same name.
+  const issueSession = (room, role = 'member') =>
+    signToken({ room: room.name, roomId: room.id, role, ...createIdentity() }, config.session.secret, config.session.ttlMs);
+
+  // Bearer token check for the admin API and /metrics. Digests have a fixed
+  // length, so the comparison takes the same time for any token.
+  const hasToken = (req, expected) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return false;
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(token), digest(expected));
+  };
+
+  // Socket handlers still running, so close() can let them finish
+  const pendingHandlers = new Set();
+  let heartbeatTimer = null;
+  // Set once close() starts: new sockets are turned away, health checks fail
+  let draining = false;
+
+  // Self-destructing messages: drop from the backlog and tell every client at
+  // the deadline. Clients also remove them locally, this covers clock skew;
+  // the backlog skips expired messages even if this instance goes away first.
+  const scheduleExpiry = (room, message, ttlMs) => {
+    setTimeout(async () => {
+      try {
+        await history.remove(room, message.id);
+        if (message.attachment) await attachments.remove(message.attachment.id);
+        io.to(room).emit('message expired', { id: message.id });
+      } catch (error) {
+        logger.error('message expiry failed', { room, error });
       }
+    }, ttlMs).unref();
+  };
 
-      const messageData = {
-        id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
-        message: message.trim(),
-        alias: alias || client?.alias || 'Anonymous',
-        clientId: clientId || socket.id,
-        timestamp: new Date().toISOString(),
-        color: client?.color || userColor
-      };
+  // Key derivation parameters the client needs before it can log in
+  app.get('/api/rooms/:room/kdf', async (req, res) => {
+    res.json({ status: 'success', kdf: await rooms.getKdfParams(req.params.room, config.session.secret) });
+  });
 
-      io.emit('chat message', messageData);
+  // Room creation endpoint, the creator is logged straight into the new room.
+  // The client picks the KDF salt and only sends the derived verifier.
+  // Every attempt costs the IP a token, before any hashing happens.
+  app.post('/api/rooms', async (req, res) => {
+    const { room, kdf, verifier, adminPassphrase, defaultTtlMs } = req.body;
 
+    if (!room || !kdf || !verifier) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Room name, key parameters and verifier are required'
+      });
+    }
+
+    const waitMs = await takeStoreToken(store, `ratelimit:rooms:${req.ip}`, config.rateLimits.roomCreation);
+    if (waitMs > 0) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      req.log.warn('room creation limited', { retryAfter, ip: req.ip });
+      return res.status(429).json({
+        status: 'error',
+        code: 'RATE_LIMITED',
+        message: 'Too many new rooms from your network, please wait before creating another',
+        retryAfter
+      });
+    }
+
+    try {
+      const created = await rooms.createRoom(room, {
+        kdf,
+        verifier,
+        adminPassphrase: adminPassphrase || undefined,
+        defaultTtlMs: defaultTtlMs || undefined
+      });
+      const { token, expiresAt } = issueSession(created, 'owner');
+      req.log.info('room created', { room: created.name, defaultTtlMs: created.defaultTtlMs, ip: req.ip });
+      return res.status(201).json({
+        status: 'success',
+        message: 'Room created',
+        room: created.name,
+        role: 'owner',
+        token,
+        expiresAt
+      });
     } catch (error) {
-      console.error('Error handling chat message:', error);
-      socket.emit('error', { message: 'Failed to send message' });
+      const status = { ROOM_EXISTS: 409, TOO_MANY_ROOMS: 503 }[error.code] || 400;
+      return res.status(status).json({
+        status: 'error',
+        code: error.code,
+        message: error.message
+      });
     }
   });
 
-  socket.on('typing', (data) => {
-    const { isTyping, alias, clientId } = data;
-    
-    if (isTyping) {
-      typingUsers.set(socket.id, { alias, clientId });
+  // Authentication endpoint
+  app.post('/api/login', async (req, res) => {
+    const { verifier, adminPassphrase } = req.body;
+    const room = normalizeRoomName(req.body.room || config.defaultRoom.name);
+
+    if (!verifier) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Passphrase verifier is required'
+      });
+    }
+
+    const retryAfterMs = await ipLoginGuard.retryAfter(req.ip);
+    if (retryAfterMs > 0) {
+      const retryAfter = Math.ceil(retryAfterMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      counters.loginFailures.inc({ reason: 'locked_out' });
+      req.log.warn('login failed', { room, reason: 'locked_out', retryAfter, ip: req.ip });
+      return res.status(429).json({
+        status: 'error',
+        code: 'TOO_MANY_ATTEMPTS',
+        message: 'Too many failed attempts, please wait before trying again',
+        retryAfter
+      });
+    }
+
+    if (await moderation.isBanned(room, { ip: req.ip })) {
+      counters.loginFailures.inc({ reason: 'banned' });
+      req.log.info('login failed', { room, reason: 'banned', ip: req.ip });
+      return res.status(403).json({
+        status: 'error',
+        code: 'BANNED',
+        message: 'You are banned from this room'
+      });
+    }
+
+    // A room being guessed at only takes attempts that solved a challenge,
+    // right verifier or not, so the answer says nothing about the verifier
+    const roomLockedMs = isValidRoomName(room) ? await roomLoginGuard.retryAfter(room) : 0;
+    if (roomLockedMs > 0 && !await proofOfWork.verify(room, req.body.proof)) {
+      const retryAfter = Math.ceil(roomLockedMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      counters.loginFailures.inc({ reason: 'room_locked' });
+      req.log.warn('login failed', { room, reason: 'room_locked', retryAfter, ip: req.ip });
+      return res.status(429).json({
+        status: 'error',
+        code: 'ROOM_LOCKED',
+        message: 'This room is getting too many wrong passphrases, please wait or solve the challenge',
+        retryAfter,
+        challenge: proofOfWork.issue(room)
+      });
+    }
+
+    const validLogin = await rooms.verifyRoomVerifier(room, verifier) &&
+      (!adminPassphrase || await rooms.verifyAdminPassphrase(room, adminPassphrase));
+    // The room may have been closed in the meantime
+    const target = validLogin && await rooms.getRoom(room);
+
+    if (target) {
+      // Only the IP's slate is wiped, the room counter keeps tracking other guessers
+      await ipLoginGuard.reset(req.ip);
+      await rooms.touchRoom(room);
+      const role = adminPassphrase ? 'owner' : 'member';
+      const { token, expiresAt } = issueSession(target, role);
+      req.log.info('login succeeded', { room, role, ip: req.ip });
+      return res.json({
+        status: 'success',
+        message: 'Authentication successful',
+        room,
+        role,
+        token,
+        expiresAt
+      });
     } else {
-      typingUsers.delete(socket.id);
+      await ipLoginGuard.recordFailure(req.ip);
+      // Names no room can have would only fill the store with counters
+      if (isValidRoomName(room)) await roomLoginGuard.recordFailure(room);
+      counters.loginFailures.inc({ reason: 'invalid' });
+      req.log.info('login failed', { room, reason: 'invalid', ip: req.ip });
+      // Same answer for unknown rooms so room names can't be probed
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid room or passphrase'
+      });
     }
+  });
 
-    socket.broadcast.emit('user typing', {
-      isTyping,
-      alias,
-      clientId
+  // What owners see of an invite; the token itself is only shown once
+  const toPublicInvite = (invite) => ({
+    id: invite.id,
+    uses: invite.uses,
+    maxUses: invite.maxUses,
+    createdAt: new Date(invite.createdAt).toISOString(),
+    expiresAt: new Date(invite.expiresAt).toISOString()
+  });
+
+  // Invite management is for owners of the room, who send their session token
+  const requireOwner = async (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    let claims;
+    try {
+      claims = verifyToken(scheme === 'Bearer' ? token : null, config.session.secret);
+    } catch (error) {
+      return res.status(401).json({ status: 'error', code: error.data.code, message: error.message });
+    }
+
+    const room = await rooms.getRoom(normalizeRoomName(req.params.room));
+    if (!room || claims.room !== room.name || claims.roomId !== room.id || claims.role !== 'owner') {
+      return res.status(403).json({
+        status: 'error',
+        code: 'FORBIDDEN',
+        message: 'Only owners of this room can manage its invites'
+      });
+    }
+    req.session = claims;
+    req.room = room;
+    next();
+  };
+
+  // Creates an invite from { expiresInMs, maxUses }. The client turns the
+  // token into a link, together with the room key that never reaches us.
+  app.post('/api/rooms/:room/invites', requireOwner, async (req, res) => {
+    const { expiresInMs, maxUses } = req.body || {};
+    const { token, invite, error } = await invites.create(req.room, { expiresInMs, maxUses, createdBy: req.session.sid });
+    if (error) {
+      return res.status(error.code === 'TOO_MANY_INVITES' ? 409 : 400).json({ status: 'error', ...error });
+    }
+    req.log.info('invite created', { room: req.room.name, invite: invite.id, maxUses, expiresInMs });
+    res.status(201).json({ status: 'success', token, invite: toPublicInvite(invite) });
+  });
+
+  app.get('/api/rooms/:room/invites', requireOwner, async (req, res) => {
+    res.json({ status: 'success', invites: (await invites.list(req.room.name)).map(toPublicInvite) });
+  });
+
+  app.post('/api/rooms/:room/invites/:id/revoke', requireOwner, async (req, res) => {
+    if (!await invites.revoke(req.room.name, req.params.id)) {
+      return res.status(404).json({ status: 'error', code: 'INVITE_NOT_FOUND', message: 'Invite not found' });
+    }
+    req.log.info('invite revoked', { room: req.room.name, invite: req.params.id });
+    res.json({ status: 'success' });
+  });
+
+  // Exchanges an invite token for a member session, like /api/login does for
+  // a passphrase verifier. Bad tokens count towards the IP's login lockout.
+  app.post('/api/invite/:token', async (req, res) => {
+    const retryAfterMs = await ipLoginGuard.retryAfter(req.ip);
+    if (retryAfterMs > 0) {
+      const retryAfter = Math.ceil(retryAfterMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      counters.loginFailures.inc({ reason: 'locked_out' });
+      return res.status(429).json({
+        status: 'error',
+        code: 'TOO_MANY_ATTEMPTS',
+        message: 'Too many failed attempts, please wait before trying again',
+        retryAfter
+      });
+    }
+
+    const rejectInvite = async (error) => {
+      await ipLoginGuard.recordFailure(req.ip);
+      counters.loginFailures.inc({ reason: 'invite' });
+      req.log.info('invite rejected', { code: error.code, ip: req.ip });
+      return res.status(error.code === 'INVITE_EXPIRED' ? 410 : 401).json({ status: 'error', ...error });
+    };
+
+    const { claims, error } = invites.verify(req.params.token);
+    if (error) return rejectInvite(error);
+
+    // Checked before a use is spent
+    if (await moderation.isBanned(claims.room, { ip: req.ip })) {
+      counters.loginFailures.inc({ reason: 'banned' });
+      req.log.info('login failed', { room: claims.room, reason: 'banned', ip: req.ip });
+      return res.status(403).json({ status: 'error', code: 'BANNED', message: 'You are banned from this room' });
+    }
+
+    const redeemed = await invites.redeem(claims);
+    if (redeemed.error) return rejectInvite(redeemed.error);
+    // An invite of a room that was closed, even if one of the same name exists now
+    const room = await rooms.getRoom(claims.room);
+    if (room?.id !== redeemed.invite.roomId) {
+      return rejectInvite({ code: 'INVITE_INVALID', message: 'This invite link is not valid' });
+    }
+
+    const { token, expiresAt } = issueSession(room, 'member');
+    req.log.info('invite redeemed', { room: room.name, invite: redeemed.invite.id, ip: req.ip });
+    res.json({
+      status: 'success',
+      message: 'Authentication successful',
+      room: room.name,
+      role: 'member',
+      token,
+      expiresAt
     });
   });
 
-  socket.on('update alias', (data) => {
-    const client = connectedClients.get(socket.id);
-    if (client) {
-      client.alias = data.alias;
-      connectedClients.set(socket.id, client);
+  // Token refresh endpoint, must be called before the current token expires
+  app.post('/api/refresh', (req, res) => {
+    const [scheme, currentToken] = (req.get('Authorization') || '').split(' ');
+
+    let claims;
+    try {
+      claims = verifyToken(scheme === 'Bearer' ? currentToken : null, config.session.secret);
+    } catch (error) {
+      return res.status(401).json({
+        status: 'error',
+        code: error.data.code,
+        message: error.message
+      });
     }
+
+    const { iat, exp, ...sessionClaims } = claims;
+    const { token, expiresAt } = signToken(sessionClaims, config.session.secret, config.session.ttlMs);
+    res.json({ status: 'success', token, expiresAt });
   });
 
-  socket.on('disconnect', (reason) => {
-    console.log(`User disconnected: ${socket.id} - Reason: ${reason}`);
-    
-    typingUsers.delete(socket.id);
-    socket.broadcast.emit('user left', {
-      id: socket.id,
-      message: 'A user left the chat',
-      timestamp: new Date().toISOString()
+  // Health check endpoint; the count is this instance's connections only.
+  // A draining instance answers 503 so load balancers stop sending clients.
+  app.get('/api/health', (req, res) => {
+    if (draining) {
+      return res.status(503).json({ status: 'draining', message: 'Server is restarting' });
+    }
+    res.json({
+      status: 'ok',
+      message: 'Server is running',
+      connectedClients: io.of('/').sockets.size
     });
-    
-    connectedClients.delete(socket.id);
-    io.emit('user count', connectedClients.size);
   });
-});
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`🔧 CORS enabled for: https://anony-chat-one.vercel.app`);
-});
+  // Prometheus scrape endpoint, public unless METRICS_TOKEN is set (always in production)
+  app.get('/metrics', async (req, res) => {
+    if (config.admin.metricsToken && !hasToken(req, config.admin.metricsToken)) {
+      return res.status(401).json({ status: 'error', code: 'UNAUTHORIZED', message: 'Invalid metrics token' });
+    }
+    res.type('text/plain; version=0.0.4').send(await metrics.render());
+  });
 
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    console.log('Server closed');
-    process.exit(0);
+  // Operator API under /api/admin, only there when ADMIN_TOKEN is set. It
+  // reports counts and metadata, never messages (which are encrypted anyway).
+  const admin = express.Router();
+
+  admin.use((req, res, next) => {
+    if (!config.admin.token) {
+      return res.status(404).json({ status: 'error', message: 'Not found' });
+    }
+    if (!hasToken(req, config.admin.token)) {
+      return res.status(401).json({ status: 'error', code: 'UNAUTHORIZED', message: 'Invalid admin token' });
+    }
+    next();
   });
-});
+
+  // Every room with its participant count, across instances
+  admin.get('/rooms', async (req, res) => {
+    const summaries = await Promise.all((await rooms.listRooms()).map(async (room) => {
+      const clients = await presence.list(room.name);
+      return {
+        name: room.name,
+        participants: countParticipants(clients),
+        connections: clients.length,
+        defaultTtlMs: room.defaultTtlMs,
+        createdAt: room.createdAt.toISOString()
+      };
+    }));
+    res.json({ status: 'success', rooms: summaries });
+  });
+
+  // Announces { message } to one room, or to every room without `room`
+  admin.post('/announce', async (req, res) => {
+    const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+    if (!message || message.length > MAX_ANNOUNCEMENT_LENGTH) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Announcements need a message of at most ${MAX_ANNOUNCEMENT_LENGTH} characters`
+      });
+    }
+
+    const announcement = { message, timestamp: new Date().toISOString() };
+    if (req.body.room) {
+      const room = normalizeRoomName(req.body.room);
+      if (!await rooms.getRoom(room)) {
+        return res.status(404).json({ status: 'error', code: 'ROOM_NOT_FOUND', message: 'Room not found' });
+      }
+      io.to(room).emit('announcement', announcement);
+    } else {
+      io.emit('announcement', announcement);
+    }
+    req.log.info('admin announcement', { room: req.body.room ? normalizeRoomName(req.body.room) : null, length: message.length });
+    res.json({ status: 'success' });
+  });
+
+  // Deletes a room with its backlog and bans and disconnects everyone in it.
+  // The name is free again afterwards; old sessions don't work in a new room.
+  admin.post('/rooms/:room/close', async (req, res) => {
+    const room = normalizeRoomName(req.params.room);
+    if (!await rooms.getRoom(room)) {
+      return res.status(404).json({ status: 'error', code: 'ROOM_NOT_FOUND', message: 'Room not found' });
+    }
+
+    // Deleted first, so nobody can join while the room is being emptied
+    await rooms.deleteRoom(room);
+    await Promise.all([history.clear(room), moderation.clear(room), invites.clear(room)]);
+    io.to(room).emit('room closed', { message: 'This room was closed by an administrator' });
+    io.in(room).disconnectSockets(true);
+    req.log.info('admin closed room', { room });
+    res.json({ status: 'success' });
+  });
+
+  app.use('/api/admin', admin);
+
+  // Malformed bodies and the like keep their status, anything else is a bug
+  app.use((error, req, res, next) => {
+    const status = error.status >= 400 && error.status < 500 ? error.status : 500;
+    if (status === 500) {
+      req.log.error('request failed', { method: req.method, path: req.path, error });
+    } else {
+      req.log.debug('request rejected', { method: req.method, path: req.path, status });
+    }
+    res.status(status).json({
+      status: 'error',
+      message: status === 500 ? 'Internal server error' : 'Invalid request'
+    });
+  });
+
+  // Reject sockets that did not present a valid session token from /api/login
+  io.use(async (socket, next) => {
+    // Ties together everything logged about this connection
+    socket.data.log = logger.child({ conn: correlationId() });
+    try {
+      if (draining) {
+        const error = new Error('Server is restarting, please reconnect');
+        error.data = { code: 'SERVER_RESTARTING' };
+        throw error;
+      }
+      const protocolVersion = negotiateVersion(socket.handshake.auth?.protocol);
+      if (!protocolVersion) {
+        const error = new Error('This version of the app is no longer supported, please reload the page');
+        error.data = { code: 'PROTOCOL_UNSUPPORTED', version: PROTOCOL_VERSION };
+        throw error;
+      }
+      socket.data.protocol = protocolVersion;
+      const session = verifyToken(socket.handshake.auth?.token, config.session.secret);
+      if (!session.sid) {
+        const error = new Error('Session token predates identities, please log in again');
+        error.data = { code: 'TOKEN_INVALID' };
+        throw error;
+      }
+      if ((await rooms.getRoom(session.room))?.id !== session.roomId) {
+        const error = new Error('Room no longer exists');
+        error.data = { code: 'ROOM_NOT_FOUND' };
+        throw error;
+      }
+      if (await moderation.isBanned(session.room, { sessionId: session.sid, ip: clientIp(socket) })) {
+        const error = new Error('You are banned from this room');
+        error.data = { code: 'BANNED' };
+        throw error;
+      }
+      await rooms.touchRoom(session.room);
+      socket.data.session = session;
+      next();
+    } catch (error) {
+      if (error.data?.code) {
+        socket.data.log.info('socket rejected', { code: error.data.code, ip: clientIp(socket) });
+      } else {
+        socket.data.log.error('socket authentication failed', { ip: clientIp(socket), error });
+      }
+      next(error);
+    }
+  });
+
+  // Socket.IO connection handling
+  io.on('connection', (socket) => {
+    const { room, sid, color, role } = socket.data.session;
+    const ip = clientIp(socket);
+    const log = socket.data.log.child({ room });
+    log.info('socket connected', { sid, role, ip, transport: socket.conn.transport.name });
+    counters.connections.inc();
+    socket.join(room);
+
+    // Our own entry, as every instance sees it
+    const currentClient = () => presence.get(room, socket.id);
+
+    // Tell the client who the server thinks it is
+    const emitSession = (client) => {
+      socket.emit('session', {
+        id: sid,
+        alias: client.alias,
+        color: client.color,
+        fingerprint: client.fingerprint,
+        role,
+        protocol: socket.data.protocol
+      });
+    };
+
+    const join = async () => {
+      const clients = await presence.list(room);
+      // A reconnect can overlap with the old socket; only a new identity is a join,
+      // and an identity keeps one alias across all of its sockets
+      const sameSession = clients.find(client => client.sessionId === sid);
+      const client = {
+        id: socket.id,
+        sessionId: sid,
+        room,
+        role,
+        ip,
+        color,
+        fingerprint: fingerprint(sid, config.session.secret),
+        connectedAt: new Date().toISOString(),
+        presence: 'active',
+        alias: sameSession ? sameSession.alias : pickAlias(clients, socket.handshake.auth?.alias, sid)
+      };
+      await presence.add(client);
+      emitSession(client);
+
+      // Catch up on the backlog; reconnecting clients only get what they missed
+      socket.emit('history', {
+        messages: await history.since(room, socket.handshake.auth?.lastMessageId)
+      });
+
+      socket.emit('room settings', {
+        defaultTtlMs: (await rooms.getRoom(room))?.defaultTtlMs || null,
+        editWindowMs: config.messages.editWindowMs,
+        typingTtlMs: config.messages.typingTtlMs,
+        attachments: {
+          maxBytes: config.attachments.maxBytes,
+          chunkBytes: ATTACHMENT_CHUNK_BYTES,
+          types: config.attachments.types
+        }
+      });
+      const participants = [...clients, client];
+      socket.emit('roster', { participants: roomRoster(participants) });
+      socket.emit('typing state', {
+        typers: (await typing.list(room)).filter(typer => typer.userId !== sid)
+      });
+      io.to(room).emit('user count', countParticipants(participants));
+
+      if (!sameSession) {
+        socket.to(room).emit('presence', {
+          type: 'join',
+          participant: toParticipant(client)
+        });
+        socket.to(room).emit('user joined', {
+          id: sid,
+          message: 'A new user joined the chat',
+          timestamp: new Date().toISOString()
+        });
+      }
+    };
+
+    // Handlers wait for the join to be recorded, so events sent right after
+    // connecting aren't handled against a missing presence entry
+    const ready = join();
+    ready.catch((error) => {
+      log.error('join failed', { error });
+      socket.disconnect(true);
+    });
+
+    // Every inbound event is checked against the shared schema before any
+    // handler sees it. Malformed ones are answered like any other refusal.
+    socket.use(([event, ...args], next) => {
+      const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      const problem = validateClientEvent(event, args[0]);
+      if (!problem) return next();
+
+      log.debug('invalid event', { event, code: problem.code });
+      if (ack) {
+        ack({ status: 'error', ...problem });
+      } else {
+        socket.emit('error', problem);
+      }
+    });
+
+    // Registers an async handler that logs its own failures
+    const on = (event, handler) => {
+      // Handlers can only be reached through events the schema defines
+      if (event !== 'disconnect' && !isClientEvent(event)) {
+        throw new Error(`"${event}" is missing from shared/protocol.json`);
+      }
+      socket.on(event, (...args) => {
+        const run = ready
+          .then(() => handler(...args))
+          .catch(error => log.error('handler failed', { event, error }))
+          .finally(() => pendingHandlers.delete(run));
+        pendingHandlers.add(run);
+      });
+    };
+
+    const limiter = rateLimiter.forConnection({ ip, sessionId: sid });
+
+    // Applies the flood limits to one event, and the repeat check to `message`
+    // when given. Resolves true when the event may go ahead; otherwise reports
+    // the structured error and drops repeat offenders.
+    const withinLimits = async (event, report = (error) => socket.emit('error', error), message) => {
+      const { ok, disconnect, ...error } = await limiter.check(event, message);
+      if (ok) return true;
+
+      counters.rateLimitHits.inc({ event, code: error.code });
+      if (error.code !== 'MUTED') {
+        log.warn('rate limited', { event, code: error.code, disconnect: Boolean(disconnect) });
+      }
+      report(error);
+      if (disconnect) socket.disconnect(true);
+      return false;
+    };
+
+    const mutedError = async () => {
+      const mutedMs = await moderation.mutedFor(room, sid);
+      return mutedMs > 0
+        ? { code: 'MUTED', message: 'A moderator has muted you', retryAfter: Math.ceil(mutedMs / 1000) }
+        : null;
+    };
+
+    // Results go to the ack callback when there is one, errors to 'error' otherwise
+    const responder = (ack) => (result) => {
+      if (typeof ack === 'function') {
+        ack(result);
+      } else if (result.status === 'error') {
+        const { status, ...error } = result;
+        socket.emit('error', error);
+      }
+    };
+
+    // Messages are end-to-end encrypted: the server only relays ciphertext.
+    // Sender details always come from the session, never from the payload.
+    // Clients pass an ack callback and a `nonce` so retries can be deduplicated.
+    on('chat message', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : null;
+      const fail = (error) => {
+        if (reply) {
+          reply({ status: 'error', ...error });
+        } else {
+          socket.emit('error', error);
+        }
+      };
+
+      try {
+        const { ciphertext, iv, nonce, ttl, replyTo, attachmentId, repeatTag } = data;
+
+        const invalid = validateCiphertext(ciphertext, iv);
+        if (invalid) {
+          fail(invalid);
+          return;
+        }
+
+        // Retries of an already delivered message are answered, not limited
+        const nonceKey = deliveryKey(sid, nonce);
+        const delivered = nonceKey && await store.get(nonceKey);
+        if (delivered) {
+          reply?.({ status: 'ok', id: delivered.id, timestamp: delivered.timestamp, duplicate: true });
+          return;
+        }
+
+        const muted = await mutedError();
+        if (muted) {
+          fail(muted);
+          return;
+        }
+
+        if (!await withinLimits('chat message', fail, { ciphertext, repeatTag, nonce })) return;
+        await rooms.touchRoom(room);
+
+        // The file name travels inside the encrypted message, the server only
+        // knows the declared type and size
+        const attachment = attachmentId !== undefined ? await attachments.claim(attachmentId, room, sid) : null;
+        if (attachmentId !== undefined && !attachment) {
+          fail({ code: 'ATTACHMENT_NOT_FOUND', message: 'The attachment upload was not found' });
+          return;
+        }
+
+        const client = await currentClient();
+        const ttlMs = resolveMessageTtl(await rooms.getRoom(room), ttl);
+        const now = Date.now();
+
+        const messageData = {
+          id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+          ciphertext,
+          iv,
+          nonce: nonceKey ? nonce : undefined,
+          // The quoted snippet is rendered by clients from their own decrypted copy
+          replyTo: isValidMessageId(replyTo) ? replyTo : undefined,
+          attachment: attachment || undefined,
+          senderId: sid,
+          alias: client.alias,
+          fingerprint: client.fingerprint,
+          timestamp: new Date(now).toISOString(),
+          expiresAt: ttlMs ? new Date(now + ttlMs).toISOString() : undefined,
+          color: client.color,
+          // [{ emoji, count, reactors: [sessionId] }]
+          reactions: []
+        };
+
+        if (nonceKey) {
+          await store.set(nonceKey, { id: messageData.id, timestamp: messageData.timestamp }, { ttlMs: NONCE_TTL_MS });
+        }
+
+        await history.append(room, messageData);
+        io.to(room).emit('chat message', messageData);
+        countMessage('room');
+        if (ttlMs) scheduleExpiry(room, messageData, ttlMs);
+        reply?.({ status: 'ok', id: messageData.id, timestamp: messageData.timestamp });
+
+      } catch (error) {
+        log.error('handler failed', { event: 'chat message', error });
+        fail({ code: 'SEND_FAILED', message: 'Failed to send message' });
+      }
+    });
+
+    // One-to-one messages between two participants of this room. They go only
+    // to the sockets of the two session identities, never to the room, and are
+    // not kept in the backlog.
+    on('direct message', async (data, ack) => {
+      const respond = responder(ack);
+      const fail = (error) => respond({ status: 'error', ...error });
+
+      try {
+        const { targetId, ciphertext, iv, nonce, repeatTag } = data || {};
+
+        const invalid = validateCiphertext(ciphertext, iv);
+        if (invalid) {
+          fail(invalid);
+          return;
+        }
+
+        const nonceKey = deliveryKey(sid, nonce);
+        const delivered = nonceKey && await store.get(nonceKey);
+        if (delivered) {
+          respond({ status: 'ok', id: delivered.id, timestamp: delivered.timestamp, duplicate: true });
+          return;
+        }
+
+        const muted = await mutedError();
+        if (muted) {
+          fail(muted);
+          return;
+        }
+
+        if (!await withinLimits('direct message', fail, { ciphertext, repeatTag, nonce })) return;
+
+        // Only participants of our own room can be reached
+        const clients = await presence.list(room);
+        const recipients = clients.filter(client => client.sessionId === targetId);
+        if (targetId === sid || recipients.length === 0) {
+          fail({ code: 'NOT_FOUND', message: 'That user is not in the room' });
+          return;
+        }
+
+        const client = clients.find(other => other.id === socket.id);
+        const directMessage = {
+          id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+          ciphertext,
+          iv,
+          nonce: nonceKey ? nonce : undefined,
+          senderId: sid,
+          recipientId: targetId,
+          alias: client.alias,
+          fingerprint: client.fingerprint,
+          color: client.color,
+          timestamp: new Date().toISOString()
+        };
+
+        if (nonceKey) {
+          await store.set(nonceKey, { id: directMessage.id, timestamp: directMessage.timestamp }, { ttlMs: NONCE_TTL_MS });
+        }
+
+        // Our own other tabs get a copy too, so the thread stays in sync
+        const socketIds = [...recipients, ...clients.filter(other => other.sessionId === sid)]
+          .map(other => other.id);
+        io.to(socketIds).emit('direct message', directMessage);
+        countMessage('direct');
+        respond({ status: 'ok', id: directMessage.id, timestamp: directMessage.timestamp });
+
+      } catch (error) {
+        log.error('handler failed', { event: 'direct message', error });
+        fail({ code: 'SEND_FAILED', message: 'Failed to send message' });
+      }
+    });
+
+    // Typers refresh their state while they keep typing; the room only hears
+    // about changes, and the tracker clears whoever stops refreshing
+    on('typing', async ({ isTyping }) => {
+      if (!isTyping) {
+        const entry = await typing.remove(room, sid);
+        if (entry) socket.to(room).emit('user typing', { isTyping: false, alias: entry.alias, userId: sid });
+        return;
+      }
+
+      // Typing floods are dropped quietly
+      if (!await withinLimits('typing', () => {})) return;
+      if (await moderation.mutedFor(room, sid) > 0) return;
+
+      const { alias } = await currentClient();
+      if (await typing.touch(room, sid, alias)) {
+        socket.to(room).emit('user typing', { isTyping: true, alias, userId: sid });
+      }
+    });
+
+    on('update alias', async (data) => {
+      const clients = await presence.list(room);
+      const client = clients.find(other => other.id === socket.id);
+      const alias = typeof data?.alias === 'string' ? data.alias.trim() : '';
+      if (alias === client.alias) return;
+      if (!await withinLimits('update alias')) {
+        emitSession(client);
+        return;
+      }
+
+      const problem = validateAlias(alias) ||
+        (isAliasTaken(clients, alias, sid) ? 'That alias is already taken in this room' : null);
+      if (problem) {
+        socket.emit('error', { code: 'ALIAS_REJECTED', message: problem });
+        // Resend the current identity so the client can revert its input
+        emitSession(client);
+        return;
+      }
+
+      const oldAlias = client.alias;
+      await Promise.all(clients
+        .filter(other => other.sessionId === sid)
+        .map(other => presence.update({ ...other, alias })));
+
+      const renamed = { ...client, alias };
+      emitSession(renamed);
+      io.to(room).emit('presence', { type: 'update', participant: toParticipant(renamed) });
+      io.to(room).emit('alias changed', {
+        id: sid,
+        oldAlias,
+        alias,
+        fingerprint: client.fingerprint,
+        message: `${oldAlias} is now known as ${alias}`,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Clients report active / idle / away from input activity and page visibility
+    on('activity', async (data) => {
+      if (!await withinLimits('activity', () => {})) return;
+
+      const client = await currentClient();
+      const state = data?.state;
+      if (!client || !PRESENCE_STATES.includes(state) || state === client.presence) return;
+
+      const updated = { ...client, presence: state };
+      await presence.update(updated);
+      io.to(room).emit('presence', { type: 'update', participant: toParticipant(updated) });
+    });
+
+    // Reactions, edits and deletes of messages that are still in the backlog
+    const onMessageAction = (event, handler) => {
+      on(event, async (data, ack) => {
+        const respond = responder(ack);
+        const limited = (error) => respond({ status: 'error', ...error });
+        if (!await withinLimits('message action', limited)) return;
+
+        try {
+          await handler(data || {}, respond);
+        } catch (error) {
+          log.error('handler failed', { event, error });
+          respond({ status: 'error', code: 'ACTION_FAILED', message: 'Message action failed' });
+        }
+      });
+    };
+
+    const invalidMessageId = { status: 'error', code: 'INVALID_MESSAGE_ID', message: 'Invalid message id' };
+    const messageNotFound = { status: 'error', code: 'MESSAGE_NOT_FOUND', message: 'That message is no longer available' };
+
+    const findMessage = async (messageId) => {
+      if (!isValidMessageId(messageId)) return { error: invalidMessageId };
+      const message = await history.find(room, messageId);
+      return message ? { message } : { error: messageNotFound };
+    };
+
+    // Only the author's session identity may change a message, and only for a while
+    const authorError = (message) => {
+      if (message.senderId !== sid) {
+        return { status: 'error', code: 'FORBIDDEN', message: 'You can only change your own messages' };
+      }
+      if (Date.now() - Date.parse(message.timestamp) > config.messages.editWindowMs) {
+        return {
+          status: 'error',
+          code: 'EDIT_WINDOW_CLOSED',
+          message: `Messages can only be changed for ${formatDuration(config.messages.editWindowMs)} after sending`
+        };
+      }
+      return null;
+    };
+
+    // Toggles our reaction unless `active` says which way to go
+    onMessageAction('react', async ({ messageId, emoji, active }, respond) => {
+      if (typeof emoji !== 'string' || emoji.length > 16 || !isSingleEmoji(emoji)) {
+        return respond({ status: 'error', code: 'INVALID_REACTION', message: 'Reactions must be a single emoji' });
+      }
+      if (!isValidMessageId(messageId)) return respond(invalidMessageId);
+      const muted = await mutedError();
+      if (muted) return respond({ status: 'error', ...muted });
+
+      let result = null;
+      const message = await history.change(room, messageId, (stored) => {
+        result = applyReaction(stored.reactions, emoji, sid, active);
+        return result.error ? stored : { ...stored, reactions: result.reactions };
+      });
+      if (!message) return respond(messageNotFound);
+      if (result.error) return respond({ status: 'error', ...result.error });
+
+      if (result.changed) {
+        io.to(room).emit('reactions updated', { id: message.id, reactions: message.reactions });
+      }
+      respond({ status: 'ok' });
+    });
+
+    // Edits are re-encrypted by the author, the server only swaps the ciphertext
+    onMessageAction('edit message', async ({ messageId, ciphertext, iv }, respond) => {
+      const { message, error } = await findMessage(messageId);
+      if (error) return respond(error);
+      const forbidden = authorError(message);
+      if (forbidden) return respond(forbidden);
+      const problem = await mutedError() || validateCiphertext(ciphertext, iv);
+      if (problem) return respond({ status: 'error', ...problem });
+
+      const editedAt = new Date().toISOString();
+      const edited = await history.change(room, messageId, (stored) => ({ ...stored, ciphertext, iv, editedAt }));
+      if (!edited) return respond(messageNotFound);
+
+      io.to(room).emit('message edited', {
+        id: edited.id,
+        ciphertext,
+        iv,
+        editedAt
+      });
+      respond({ status: 'ok' });
+    });
+
+    // Authors can delete their own messages within the edit window,
+    // owners can delete any message at any time
+    onMessageAction('delete message', async ({ messageId }, respond) => {
+      if (!isValidMessageId(messageId)) return respond(invalidMessageId);
+      const message = await history.find(room, messageId);
+      if (!message) return respond(messageNotFound);
+      if (role !== 'owner') {
+        const forbidden = authorError(message);
+        if (forbidden) return respond(forbidden);
+      }
+
+      await history.remove(room, messageId);
+      if (message.attachment) await attachments.remove(message.attachment.id);
+      // Clients replace the message with a tombstone
+      io.to(room).emit('message deleted', {
+        id: messageId,
+        deletedBy: message.senderId === sid ? 'author' : 'moderator',
+        timestamp: new Date().toISOString()
+      });
+      respond({ status: 'ok' });
+    });
+
+    // Attachment uploads: 'attachment start' with the encrypted size, then
+    // 'attachment chunk' binary frames in order, then 'attachment end'. The
+    // finished id is sent as `attachmentId` with the chat message that carries it.
+    const onAttachment = (event, handler) => {
+      on(event, async (data, ack) => {
+        const respond = responder(ack);
+        try {
+          const { error, ...result } = await handler(data || {});
+          respond(error ? { status: 'error', ...error } : { status: 'ok', ...result });
+        } catch (error) {
+          log.error('handler failed', { event, error });
+          respond({ status: 'error', code: 'UPLOAD_FAILED', message: 'Attachment upload failed' });
+        }
+      });
+    };
+
+    onAttachment('attachment start', async ({ mimeType, size, iv }) => {
+      let limitError = null;
+      if (!await withinLimits('attachment', (error) => { limitError = error; })) {
+        return { error: limitError };
+      }
+      const muted = await mutedError();
+      if (muted) return { error: muted };
+      return attachments.begin(room, sid, { mimeType, size, iv });
+    });
+
+    onAttachment('attachment chunk', async ({ uploadId, index, data }) => {
+      let limitError = null;
+      if (!await withinLimits('attachment chunk', (error) => { limitError = error; })) {
+        return { error: limitError };
+      }
+      return attachments.addChunk(uploadId, room, sid, index, data);
+    });
+
+    onAttachment('attachment end', ({ uploadId }) => attachments.finish(uploadId, room, sid));
+
+    // Anyone in the room can fetch an attached file, still encrypted
+    onAttachment('attachment fetch', async ({ id }) => {
+      let limitError = null;
+      if (!await withinLimits('attachment fetch', (error) => { limitError = error; })) {
+        return { error: limitError };
+      }
+      const attachment = typeof id === 'string' ? await attachments.get(id, room) : null;
+      return attachment || { error: { code: 'ATTACHMENT_NOT_FOUND', message: 'That file is no longer available' } };
+    });
+
+    // Owner-only moderation events. Targets are session identities in this room,
+    // connected to any instance.
+    const onModeration = (event, handler) => {
+      on(event, async (data, ack) => {
+        const respond = responder(ack);
+
+        if (role !== 'owner') {
+          respond({ status: 'error', code: 'FORBIDDEN', message: 'Only room owners can moderate' });
+          return;
+        }
+
+        try {
+          await handler(data || {}, respond);
+        } catch (error) {
+          log.error('handler failed', { event, error });
+          respond({ status: 'error', code: 'MODERATION_FAILED', message: 'Moderation action failed' });
+        }
+      });
+    };
+
+    // Connected sockets of the target, or an error result when it can't be moderated
+    const resolveTarget = async (targetId) => {
+      const targets = (await presence.list(room)).filter(client => client.sessionId === targetId);
+      if (targets.length === 0) {
+        return { error: { status: 'error', code: 'NOT_FOUND', message: 'That user is not in the room' } };
+      }
+      if (targetId === sid || targets[0].role === 'owner') {
+        return { error: { status: 'error', code: 'FORBIDDEN', message: 'Owners cannot be moderated' } };
+      }
+      return { targets };
+    };
+
+    const announceModeration = (action, target, details = {}) => {
+      log.info('moderation', { action, by: sid, target: target.sessionId });
+      counters.moderation.inc({ action });
+      io.to(room).emit('moderation', {
+        action,
+        targetId: target.sessionId,
+        targetAlias: target.alias,
+        timestamp: new Date().toISOString(),
+        ...details
+      });
+    };
+
+    // Tells the target why, then drops all of its sockets wherever they are
+    const removeFromRoom = (targets, action, message) => {
+      targets.forEach(target => {
+        io.to(target.id).emit('moderated', { action, message });
+        io.in(target.id).disconnectSockets(true);
+      });
+    };
+
+    onModeration('kick', async ({ targetId }, respond) => {
+      const { targets, error } = await resolveTarget(targetId);
+      if (error) return respond(error);
+
+      announceModeration('kick', targets[0], {
+        message: `${targets[0].alias} was removed from the room by a moderator`
+      });
+      removeFromRoom(targets, 'kick', 'You were removed from the room by a moderator');
+      respond({ status: 'ok' });
+    });
+
+    onModeration('mute', async ({ targetId, durationMs }, respond) => {
+      const { targets, error } = await resolveTarget(targetId);
+      if (error) return respond(error);
+
+      const duration = await moderation.mute(room, targetId, durationMs);
+      targets.forEach(target => {
+        io.to(target.id).emit('moderated', {
+          action: 'mute',
+          message: `A moderator muted you for ${formatDuration(duration)}`,
+          retryAfter: Math.ceil(duration / 1000)
+        });
+      });
+      announceModeration('mute', targets[0], {
+        durationMs: duration,
+        message: `${targets[0].alias} was muted for ${formatDuration(duration)}`
+      });
+      respond({ status: 'ok', durationMs: duration });
+    });
+
+    // scope 'session' bans the identity, 'ip' also bans its network address
+    onModeration('ban', async ({ targetId, scope }, respond) => {
+      const { targets, error } = await resolveTarget(targetId);
+      if (error) return respond(error);
+
+      await moderation.ban(room, {
+        sessionId: targetId,
+        ip: scope === 'ip' ? targets[0].ip : undefined
+      });
+      announceModeration('ban', targets[0], {
+        message: `${targets[0].alias} was banned from the room`
+      });
+      removeFromRoom(targets, 'ban', 'You were banned from this room');
+      respond({ status: 'ok' });
+    });
+
+    on('disconnect', async (reason) => {
+      log.info('socket disconnected', { reason });
+
+      await presence.remove(room, socket.id);
+      const clients = await presence.list(room);
+
+      // Whatever this connection was typing won't be finished now
+      const typed = await typing.remove(room, sid);
+      if (typed) socket.to(room).emit('user typing', { isTyping: false, alias: typed.alias, userId: sid });
+
+      if (!clients.some(client => client.sessionId === sid)) {
+        socket.to(room).emit('presence', { type: 'leave', id: sid });
+        socket.to(room).emit('user left', {
+          id: sid,
+          message: 'A user left the chat',
+          timestamp: new Date().toISOString()
+        });
+      }
+      io.to(room).emit('user count', countParticipants(clients));
+    });
+  });
+
+  // Seeds the default room from its configured verifier (or, in development,
+  // passphrase) unless another instance already did, then starts listening.
+  // Resolves with the bound port.
+  const start = async (port = config.port) => {
+    await presence.heartbeat();
+    heartbeatTimer = setInterval(() => {
+      presence.heartbeat().catch(error => logger.error('presence heartbeat failed', { error }));
+    }, 15 * 1000);
+    heartbeatTimer.unref();
+
+    try {
+      const { name, verifier, kdf, passphrase, adminPassphrase, messageTtlMs } = config.defaultRoom;
+      const options = { adminPassphrase: adminPassphrase || undefined, defaultTtlMs: messageTtlMs, permanent: true };
+      if (verifier) {
+        await rooms.createRoom(name, { kdf, verifier, ...options });
+      } else {
+        await rooms.createRoomFromPassphrase(name, passphrase, options);
+      }
+    } catch (error) {
+      if (error.code !== 'ROOM_EXISTS') throw error;
+    }
+
+    await new Promise(resolve => server.listen(port, resolve));
+    return server.address().port;
+  };
+
+  // Shuts this instance down: clients are told the server is restarting and
+  // get up to `graceMs` to flush queued messages, then their sockets are
+  // closed. Closed transports make clients reconnect, through the load balancer
+  // to another instance or to this one once it is back. The store is left
+  // open, it may be shared.
+  const close = async ({ graceMs = 0 } = {}) => {
+    draining = true;
+    clearInterval(heartbeatTimer);
+
+    const sockets = io.of('/').sockets;
+    if (graceMs > 0 && sockets.size > 0) {
+      // Only our own clients, other instances keep running
+      io.local.emit('server restarting', { graceMs });
+      server.close();
+      // Ends early once every client has gone
+      const deadline = Date.now() + graceMs;
+      while (sockets.size > 0 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(100, deadline - Date.now())));
+      }
+    }
+
+    // Other instances' rooms would otherwise wait out our typers' expiry
+    await typing.stop();
+    await new Promise(resolve => io.close(() => resolve()));
+    await Promise.allSettled([...pendingHandlers]);
+    await presence.stop();
+    eventLoop.stop();
+  };
+
+  return { app, server, io, start, close };
+}
+
+// Several instances need REDIS_URL and the same SESSION_SECRET
+if (require.main === module) {
+  let config;
+  try {
+    config = loadConfig();
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    // The logging settings may be what is invalid, so fall back to the defaults
+    createLogger({ format: process.env.NODE_ENV === 'production' ? 'json' : 'pretty' })
+      .error('invalid configuration', { problems: error.problems });
+    process.exit(1);
+  }
+
+  const logger = createLogger(config.log);
+  logger.info('effective configuration', { config: redactConfig(config) });
+  if (config.session.generatedSecret) {
+    logger.warn('SESSION_SECRET not set, using a random secret. Sessions will not survive a restart.');
+  }
+  if (config.defaultRoom.passphrase) {
+    logger.warn('Default room seeded from its passphrase, so this server could decrypt it. Use CHAT_ROOM_VERIFIER and CHAT_ROOM_SALT outside development.');
+  }
+
+  const options = { config, logger };
+  // Connections to close once the server is down
+  const cleanup = [];
+  if (config.redisUrl) {
+    const Redis = require('ioredis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+    const pubClient = new Redis(config.redisUrl);
+    const subClient = pubClient.duplicate();
+    const storeClient = new Redis(config.redisUrl);
+    [pubClient, subClient, storeClient].forEach(client => {
+      client.on('error', error => logger.error('redis error', { error }));
+    });
+    options.store = createRedisStore(storeClient);
+    options.adapter = createAdapter(pubClient, subClient);
+    cleanup.push(() => options.store.close(), () => pubClient.quit(), () => subClient.quit());
+  }
+
+  const chat = createChatServer(options);
+  chat.start().then((port) => {
+    logger.info('server started', {
+      port,
+      origins: config.allowedOrigins,
+      defaultRoom: config.defaultRoom.name,
+      store: config.redisUrl ? 'redis' : 'memory'
+    });
+  }, (error) => {
+    logger.error('server failed to start', { error });
+    process.exit(1);
+  });
+
+  // Render sends SIGTERM on deploys, SIGINT is Ctrl+C. A second signal skips the drain.
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      logger.warn('shutdown forced', { signal });
+      process.exit(1);
+    }
+    shuttingDown = true;
+    logger.info('shutting down', { signal, graceMs: config.shutdownGraceMs });
+
+    try {
+      await chat.close({ graceMs: config.shutdownGraceMs });
+      await Promise.all(cleanup.map(task => task()));
+      logger.info('server closed');
+      process.exit(0);
+    } catch (error) {
+      logger.error('shutdown failed', { error });
+      process.exit(1);
+    }
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+module.exports = { createChatServer };
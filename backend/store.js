@@ -0,0 +1,232 @@
+// Shared state behind one small async key-value interface, so several server
+// instances can run against the same Redis. The in-memory store is the
+// default for a single instance. Values are JSON; `ttlMs` sets an expiry.
+//
+// Interface:
+//   get(key)                         -> value or null
+//   set(key, value, { ttlMs })
+//   setIfAbsent(key, value, { ttlMs }) -> true when the key was free
+//   delete(key)
+//   keys(prefix)                     -> every key starting with `prefix`
+//   update(key, fn, { ttlMs })       -> fn(current or null) returns the next
+//                                       value (null deletes); atomic per key
+//   hashSet(key, field, value) / hashGet(key, field) / hashDelete(key, field)
+//   hashGetAll(key)                  -> { field: value }
+//   close()
+
+const MAX_UPDATE_RETRIES = 20;
+
+function createMemoryStore() {
+  // key -> { json, expiresAt }
+  const entries = new Map();
+  // key -> Map(field -> json)
+  const hashes = new Map();
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  // Values are copied through JSON so callers can't share objects by accident
+  // and behave exactly as they would against Redis
+  const write = (key, value, { ttlMs } = {}) => {
+    entries.set(key, {
+      json: JSON.stringify(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  };
+
+  const timer = setInterval(() => {
+    for (const key of entries.keys()) read(key);
+  }, 60 * 1000);
+  timer.unref();
+
+  return {
+    async get(key) {
+      const entry = read(key);
+      return entry ? JSON.parse(entry.json) : null;
+    },
+
+    async set(key, value, options) {
+      write(key, value, options);
+    },
+
+    async setIfAbsent(key, value, options) {
+      if (read(key)) return false;
+      write(key, value, options);
+      return true;
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async keys(prefix) {
+      return Array.from(entries.keys()).filter(key => key.startsWith(prefix) && read(key));
+    },
+
+    // Runs synchronously between reads and writes, so it is atomic here
+    async update(key, fn, options) {
+      const entry = read(key);
+      const next = fn(entry ? JSON.parse(entry.json) : null);
+      if (next === null || next === undefined) {
+        entries.delete(key);
+        return null;
+      }
+      write(key, next, options);
+      return next;
+    },
+
+    async hashSet(key, field, value) {
+      if (!hashes.has(key)) hashes.set(key, new Map());
+      hashes.get(key).set(field, JSON.stringify(value));
+    },
+
+    async hashGet(key, field) {
+      const json = hashes.get(key)?.get(field);
+      return json === undefined ? null : JSON.parse(json);
+    },
+
+    async hashDelete(key, field) {
+      const hash = hashes.get(key);
+      if (!hash) return;
+      hash.delete(field);
+      if (hash.size === 0) hashes.delete(key);
+    },
+
+    async hashGetAll(key) {
+      const result = {};
+      for (const [field, json] of hashes.get(key) || []) {
+        result[field] = JSON.parse(json);
+      }
+      return result;
+    },
+
+    async close() {
+      clearInterval(timer);
+      entries.clear();
+      hashes.clear();
+    }
+  };
+}
+
+// `redis` is an ioredis client (or anything with the same API, such as
+// ioredis-mock in tests). Every key is put under `prefix`.
+function createRedisStore(redis, { prefix = 'anonychat:' } = {}) {
+  const k = (key) => prefix + key;
+  const parse = (json) => (json === null || json === undefined ? null : JSON.parse(json));
+  const setArgs = (value, ttlMs) =>
+    ttlMs ? [JSON.stringify(value), 'PX', Math.ceil(ttlMs)] : [JSON.stringify(value)];
+
+  // Writes ARGV[2] (deleting the key when empty, with ARGV[3] as PX when set)
+  // only while the key still holds ARGV[1], empty for absent. Runs atomically
+  // on the server, so unlike WATCH it needs no connection of its own.
+  redis.defineCommand('anonychatCompareAndSet', {
+    numberOfKeys: 1,
+    lua: `
+      if (redis.call('GET', KEYS[1]) or '') ~= ARGV[1] then return 0 end
+      if ARGV[2] == '' then
+        redis.call('DEL', KEYS[1])
+      elseif ARGV[3] ~= '' then
+        redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+      else
+        redis.call('SET', KEYS[1], ARGV[2])
+      end
+      return 1
+    `
+  });
+
+  // key -> the last update queued for it. Updates of one key in this process
+  // run in turn rather than race each other into retries; other keys and
+  // other instances don't wait, the compare-and-set catches those.
+  const queues = new Map();
+  const enqueue = (key, task) => {
+    const run = (queues.get(key) || Promise.resolve()).then(task, task);
+    const tail = run.catch(() => {});
+    queues.set(key, tail);
+    tail.then(() => {
+      if (queues.get(key) === tail) queues.delete(key);
+    });
+    return run;
+  };
+
+  return {
+    async get(key) {
+      return parse(await redis.get(k(key)));
+    },
+
+    async set(key, value, { ttlMs } = {}) {
+      await redis.set(k(key), ...setArgs(value, ttlMs));
+    },
+
+    async setIfAbsent(key, value, { ttlMs } = {}) {
+      return (await redis.set(k(key), ...setArgs(value, ttlMs), 'NX')) === 'OK';
+    },
+
+    async delete(key) {
+      await redis.del(k(key));
+    },
+
+    // SCAN rather than KEYS, so a big keyspace doesn't block Redis
+    async keys(prefix) {
+      const pattern = k(prefix).replace(/[*?[\]\\]/g, '\\$&') + '*';
+      const found = new Set();
+      let cursor = '0';
+      do {
+        const [next, batch] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+        batch.forEach(key => found.add(key.slice(k('').length)));
+        cursor = next;
+      } while (cursor !== '0');
+      return Array.from(found);
+    },
+
+    update(key, fn, { ttlMs } = {}) {
+      return enqueue(key, async () => {
+        for (let attempt = 0; attempt < MAX_UPDATE_RETRIES; attempt++) {
+          const json = await redis.get(k(key));
+          const next = fn(parse(json)) ?? null;
+          const written = await redis.anonychatCompareAndSet(
+            k(key),
+            json ?? '',
+            next === null ? '' : JSON.stringify(next),
+            next !== null && ttlMs ? Math.ceil(ttlMs) : ''
+          );
+          // 0 when another instance changed the key in the meantime
+          if (written === 1) return next;
+        }
+        throw new Error(`Too much contention updating ${key}`);
+      });
+    },
+
+    async hashSet(key, field, value) {
+      await redis.hset(k(key), field, JSON.stringify(value));
+    },
+
+    async hashGet(key, field) {
+      return parse(await redis.hget(k(key), field));
+    },
+
+    async hashDelete(key, field) {
+      await redis.hdel(k(key), field);
+    },
+
+    async hashGetAll(key) {
+      const result = {};
+      for (const [field, json] of Object.entries(await redis.hgetall(k(key)))) {
+        result[field] = JSON.parse(json);
+      }
+      return result;
+    },
+
+    async close() {
+      await redis.quit();
+    }
+  };
+}
+
+module.exports = { createMemoryStore, createRedisStore };
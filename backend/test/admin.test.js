@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createChatServer } = require('../server');
+const { testConfig, once, request, createRoom, connect, join, closeSockets, encrypted } = require('./helpers');
+
+const ADMIN_TOKEN = crypto.randomBytes(24).toString('hex');
+
+let chat;
+let url;
+
+before(async () => {
+  chat = createChatServer({ config: testConfig({ ADMIN_TOKEN }) });
+  url = `http://localhost:${await chat.start(0)}`;
+});
+
+after(async () => {
+  closeSockets();
+  await chat.close();
+});
+
+const admin = (path, options) => request(url, `/api/admin${path}`, { token: ADMIN_TOKEN, ...options });
+
+test('admin routes need the admin token', async () => {
+  assert.equal((await request(url, '/api/admin/rooms')).status, 401);
+  assert.equal((await request(url, '/api/admin/rooms', { token: 'wrong' })).status, 401);
+  assert.equal((await admin('/rooms')).status, 200);
+});
+
+test('lists rooms with participant counts but no content', async () => {
+  const { room, ownerToken } = await createRoom(url);
+  await join(url, ownerToken);
+
+  const { body } = await admin('/rooms');
+  const summary = body.rooms.find(entry => entry.name === room);
+  assert.deepEqual(Object.keys(summary).sort(), ['connections', 'createdAt', 'defaultTtlMs', 'name', 'participants']);
+  assert.equal(summary.participants, 1);
+  assert.ok(body.rooms.some(entry => entry.name === 'lobby'));
+});
+
+test('announcements reach one room or all of them', async () => {
+  const { socket: first } = await join(url, (await createRoom(url)).ownerToken);
+  const { room, ownerToken } = await createRoom(url);
+  const { socket: second } = await join(url, ownerToken);
+
+  const toRoom = once(second, 'announcement');
+  assert.equal((await admin('/announce', { method: 'POST', body: { room, message: 'Maintenance soon' } })).status, 200);
+  assert.equal((await toRoom).message, 'Maintenance soon');
+
+  const toAll = Promise.all([once(first, 'announcement'), once(second, 'announcement')]);
+  await admin('/announce', { method: 'POST', body: { message: 'Hello everyone' } });
+  assert.deepEqual((await toAll).map(entry => entry.message), ['Hello everyone', 'Hello everyone']);
+
+  assert.equal((await admin('/announce', { method: 'POST', body: { message: '' } })).status, 400);
+});
+
+test('closing a room disconnects it and retires its sessions', async () => {
+  const { room, ownerToken } = await createRoom(url);
+  const { socket } = await join(url, ownerToken);
+
+  const closed = once(socket, 'room closed');
+  const disconnected = once(socket, 'disconnect');
+  assert.equal((await admin(`/rooms/${room}/close`, { method: 'POST' })).status, 200);
+  await closed;
+  assert.equal(await disconnected, 'io server disconnect');
+
+  // The name can be taken again, but the old session doesn't get in
+  await createRoom(url, { room });
+  const retry = connect(url, ownerToken);
+  assert.equal((await once(retry, 'connect_error')).data.code, 'ROOM_NOT_FOUND');
+});
+
+test('metrics count logins, messages and connections', async () => {
+  const { ownerToken } = await createRoom(url);
+  const { socket } = await join(url, ownerToken);
+  const ack = await socket.emitWithAck('chat message', encrypted());
+  assert.equal(ack.status, 'ok');
+  await request(url, '/api/login', { method: 'POST', body: { room: 'lobby', verifier: 'wrong' } });
+
+  const { status, body } = await request(url, '/metrics');
+  assert.equal(status, 200);
+  assert.match(body, /^anonychat_messages_total\{kind="room"\} [1-9]/m);
+  assert.match(body, /^anonychat_login_failures_total\{reason="invalid"\} [1-9]/m);
+  assert.match(body, /^anonychat_connections [1-9]/m);
+  assert.match(body, /^anonychat_event_loop_lag_seconds\{stat="p99"\} /m);
+});
@@ -0,0 +1,82 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createChatServer } = require('../server');
+const { testConfig, once, collect, createRoom, login, join, closeSockets, encrypted } = require('./helpers');
+
+// Encrypted uploads: what the server checks before it holds on to a file,
+// and how a finished one reaches the rest of the room
+
+let chat;
+let url;
+
+before(async () => {
+  chat = createChatServer({ config: testConfig({ MAX_ATTACHMENT_BYTES: '1000' }) });
+  url = `http://localhost:${await chat.start(0)}`;
+});
+
+after(async () => {
+  closeSockets();
+  await chat.close();
+});
+
+const start = (socket, upload = {}) =>
+  socket.emitWithAck('attachment start', { mimeType: 'image/png', size: 500, iv: encrypted().iv, ...upload });
+
+const chunk = (socket, uploadId, index, size) =>
+  socket.emitWithAck('attachment chunk', { uploadId, index, data: crypto.randomBytes(size) });
+
+test('refuses file types that are not allowed and files over the limit', async () => {
+  const { socket } = await join(url, (await createRoom(url)).ownerToken);
+
+  assert.equal((await start(socket, { mimeType: 'application/x-msdownload' })).code, 'UNSUPPORTED_TYPE');
+  assert.equal((await start(socket, { size: 1001 })).code, 'ATTACHMENT_TOO_LARGE');
+  assert.equal((await start(socket, { size: 1000 })).status, 'ok');
+});
+
+test('drops uploads with chunks out of order or missing', async () => {
+  const { socket } = await join(url, (await createRoom(url)).ownerToken);
+
+  const skipped = await start(socket);
+  assert.equal((await chunk(socket, skipped.id, 1, 250)).code, 'INVALID_CHUNK');
+  // The upload is gone, not waiting for the chunk it skipped
+  assert.equal((await chunk(socket, skipped.id, 0, 250)).code, 'UPLOAD_NOT_FOUND');
+
+  const incomplete = await start(socket);
+  assert.equal((await chunk(socket, incomplete.id, 0, 250)).status, 'ok');
+  assert.equal((await socket.emitWithAck('attachment end', { uploadId: incomplete.id })).code, 'INCOMPLETE_UPLOAD');
+
+  const oversized = await start(socket);
+  assert.equal((await chunk(socket, oversized.id, 0, 501)).code, 'INVALID_CHUNK');
+
+  const messages = collect(socket, 'chat message');
+  const unfinished = await socket.emitWithAck('chat message', { ...encrypted(), attachmentId: incomplete.id });
+  assert.equal(unfinished.code, 'ATTACHMENT_NOT_FOUND');
+  assert.deepEqual(await messages, []);
+});
+
+test('a finished upload reaches the room with its message', async () => {
+  const { room, verifier, ownerToken } = await createRoom(url);
+  const sender = await join(url, ownerToken);
+  const receiver = await join(url, await login(url, room, verifier));
+
+  const iv = encrypted().iv;
+  const { id } = await start(sender.socket, { iv });
+  const parts = [crypto.randomBytes(300), crypto.randomBytes(200)];
+  for (const [index, data] of parts.entries()) {
+    assert.equal((await sender.socket.emitWithAck('attachment chunk', { uploadId: id, index, data })).status, 'ok');
+  }
+  assert.equal((await sender.socket.emitWithAck('attachment end', { uploadId: id })).status, 'ok');
+
+  const delivered = once(receiver.socket, 'chat message');
+  assert.equal((await sender.socket.emitWithAck('chat message', { ...encrypted(), attachmentId: id })).status, 'ok');
+  assert.deepEqual((await delivered).attachment, { id, mimeType: 'image/png', size: 500, iv });
+
+  const fetched = await receiver.socket.emitWithAck('attachment fetch', { id });
+  assert.equal(fetched.status, 'ok');
+  assert.deepEqual(Buffer.from(fetched.data), Buffer.concat(parts));
+
+  // Claimed once, by the message that carries it
+  const again = await sender.socket.emitWithAck('chat message', { ...encrypted(), attachmentId: id });
+  assert.equal(again.code, 'ATTACHMENT_NOT_FOUND');
+});
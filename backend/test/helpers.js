@@ -0,0 +1,92 @@
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { io: connectClient } = require('socket.io-client');
+const { loadConfig } = require('../config');
+
+// Fixtures shared by the tests that talk to a running server. Each takes the
+// server's `url` first, so they work the same against one instance or several.
+
+// Quiet, and every test client shares one IP, so room creation isn't limited
+const testConfig = (env = {}) => loadConfig({ LOG_LEVEL: 'silent', RATE_ROOM_CREATE_BURST: '1000', ...env });
+
+const once = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+// Resolves with the events that arrived within `ms`
+const collect = (emitter, event, ms = 150) => {
+  const received = [];
+  const listener = (data) => received.push(data);
+  emitter.on(event, listener);
+  return new Promise(resolve => setTimeout(() => {
+    emitter.off(event, listener);
+    resolve(received);
+  }, ms));
+};
+
+// JSON bodies, except for the likes of /metrics which come back as text
+const request = async (url, path, { method = 'GET', token, body } = {}) => {
+  const response = await fetch(url + path, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    body: body && JSON.stringify(body)
+  });
+  const type = response.headers.get('content-type') || '';
+  return {
+    status: response.status,
+    body: type.includes('json') ? await response.json() : await response.text()
+  };
+};
+
+const post = (url, path, body) => request(url, path, { method: 'POST', body });
+
+// The server never sees passphrases, so any verifier works for a test room.
+// A fresh room per test keeps counts and events apart.
+const createRoom = async (url, { room = `test-${crypto.randomBytes(4).toString('hex')}` } = {}) => {
+  const verifier = crypto.randomBytes(32).toString('base64');
+  const kdf = { salt: crypto.randomBytes(16).toString('base64'), iterations: 100000 };
+  const { status, body } = await post(url, '/api/rooms', { room, kdf, verifier });
+  assert.equal(status, 201);
+  return { room, verifier, ownerToken: body.token };
+};
+
+const login = async (url, room, verifier) => {
+  const { status, body } = await post(url, '/api/login', { room, verifier });
+  assert.equal(status, 200);
+  return body.token;
+};
+
+// Every socket opened here, for closeSockets() once the tests are done
+const sockets = [];
+
+const connect = (url, token, auth = {}) => {
+  const socket = connectClient(url, { auth: { token, ...auth }, transports: ['websocket'], reconnection: false });
+  sockets.push(socket);
+  return socket;
+};
+
+// Resolves once the join is complete, with the socket, its session and the
+// roster. Every event the socket gets is kept in `received`, from the first one on.
+const join = async (url, token, auth = {}) => {
+  const socket = connect(url, token, auth);
+  socket.received = [];
+  socket.onAny((event, payload) => socket.received.push([event, payload]));
+  const rejected = once(socket, 'connect_error').then(error => { throw error; });
+  const [session, roster] = await Promise.race([
+    Promise.all([once(socket, 'session'), once(socket, 'roster')]),
+    rejected
+  ]);
+  return { socket, session, roster };
+};
+
+const closeSockets = () => {
+  sockets.splice(0).forEach(socket => socket.disconnect());
+};
+
+const encrypted = () => ({
+  ciphertext: crypto.randomBytes(48).toString('base64'),
+  iv: crypto.randomBytes(12).toString('base64')
+});
+
+module.exports = { testConfig, once, collect, request, post, createRoom, login, connect, join, closeSockets, encrypted };
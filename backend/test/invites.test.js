@@ -0,0 +1,82 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChatServer } = require('../server');
+const { testConfig, once, request, createRoom, login, connect, closeSockets } = require('./helpers');
+
+let chat;
+let url;
+
+before(async () => {
+  chat = createChatServer({ config: testConfig() });
+  url = `http://localhost:${await chat.start(0)}`;
+});
+
+after(async () => {
+  closeSockets();
+  await chat.close();
+});
+
+// A room with its owner and one member
+const createMemberRoom = async () => {
+  const { room, verifier, ownerToken } = await createRoom(url);
+  return { room, ownerToken, memberToken: await login(url, room, verifier) };
+};
+
+const createInvite = (room, token, body = { expiresInMs: 60 * 60 * 1000, maxUses: 2 }) =>
+  request(url, `/api/rooms/${room}/invites`, { method: 'POST', token, body });
+
+test('only owners of the room manage its invites', async () => {
+  const { room, ownerToken, memberToken } = await createMemberRoom();
+  const other = await createMemberRoom();
+
+  assert.equal((await createInvite(room)).status, 401);
+  assert.equal((await createInvite(room, memberToken)).status, 403);
+  assert.equal((await createInvite(room, other.ownerToken)).status, 403);
+
+  const created = await createInvite(room, ownerToken);
+  assert.equal(created.status, 201);
+  assert.equal(created.body.invite.maxUses, 2);
+  assert.equal(created.body.invite.uses, 0);
+
+  const listed = await request(url, `/api/rooms/${room}/invites`, { token: ownerToken });
+  assert.deepEqual(listed.body.invites, [created.body.invite]);
+  assert.equal((await request(url, `/api/rooms/${room}/invites`, { token: memberToken })).status, 403);
+
+  assert.equal((await createInvite(room, ownerToken, { expiresInMs: 1000, maxUses: 1 })).status, 400);
+  assert.equal((await createInvite(room, ownerToken, { expiresInMs: 60 * 1000, maxUses: 0 })).status, 400);
+});
+
+test('invites log in as a member until they are used up', async () => {
+  const { room, ownerToken } = await createMemberRoom();
+  const { body } = await createInvite(room, ownerToken);
+
+  for (let use = 0; use < 2; use++) {
+    const redeemed = await request(url, `/api/invite/${body.token}`, { method: 'POST' });
+    assert.equal(redeemed.status, 200);
+    assert.equal(redeemed.body.room, room);
+    assert.equal(redeemed.body.role, 'member');
+
+    const socket = connect(url, redeemed.body.token);
+    assert.equal((await once(socket, 'session')).role, 'member');
+  }
+
+  assert.equal((await request(url, `/api/invite/${body.token}`, { method: 'POST' })).status, 401);
+  const listed = await request(url, `/api/rooms/${room}/invites`, { token: ownerToken });
+  assert.deepEqual(listed.body.invites, []);
+});
+
+test('revoked and forged invites are refused', async () => {
+  const { room, ownerToken } = await createMemberRoom();
+  const { body } = await createInvite(room, ownerToken);
+
+  const revoke = (id) => request(url, `/api/rooms/${room}/invites/${id}/revoke`, { method: 'POST', token: ownerToken });
+  assert.equal((await revoke(body.invite.id)).status, 200);
+  assert.equal((await revoke(body.invite.id)).status, 404);
+  assert.equal((await request(url, `/api/invite/${body.token}`, { method: 'POST' })).body.code, 'INVITE_INVALID');
+
+  // Session tokens and invite tokens are signed apart
+  assert.equal((await request(url, `/api/invite/${ownerToken}`, { method: 'POST' })).body.code, 'INVITE_INVALID');
+  const { body: fresh } = await createInvite(room, ownerToken);
+  const socket = connect(url, fresh.token);
+  assert.equal((await once(socket, 'connect_error')).data.code, 'TOKEN_INVALID');
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger } = require('../logger');
+
+const capture = (options) => {
+  const lines = [];
+  const logger = createLogger({ ...options, write: line => lines.push(line) });
+  return { logger, lines };
+};
+
+test('writes JSON records at or above the configured level', () => {
+  const { logger, lines } = capture({ level: 'info' });
+  logger.debug('hidden');
+  logger.info('socket connected', { room: 'lobby' });
+
+  assert.equal(lines.length, 1);
+  const record = JSON.parse(lines[0]);
+  assert.equal(record.level, 'info');
+  assert.equal(record.msg, 'socket connected');
+  assert.equal(record.room, 'lobby');
+  assert.ok(Date.parse(record.time));
+});
+
+test('never writes content or credentials, and hashes IPs', () => {
+  const { logger, lines } = capture({});
+  logger.info('login failed', {
+    ip: '203.0.113.7',
+    verifier: 'abc',
+    passphrase: 'hunter2',
+    ciphertext: 'Zm9v',
+    message: 'hello'
+  });
+  logger.info('login failed', { ip: '203.0.113.7' });
+
+  const [first, second] = lines.map(line => JSON.parse(line));
+  assert.deepEqual(Object.keys(first).sort(), ['ip', 'level', 'msg', 'time']);
+  assert.doesNotMatch(lines[0], /203\.0\.113\.7|hunter2|abc|Zm9v|hello/);
+  // The same address hashes the same way until the key rotates
+  assert.equal(first.ip, second.ip);
+});
+
+test('child loggers add their fields to every record', () => {
+  const { logger, lines } = capture({});
+  const connection = logger.child({ conn: 'c1' }).child({ room: 'lobby' });
+  connection.warn('rate limited', { event: 'typing' });
+  connection.error('handler failed', { error: new Error('boom') });
+
+  const records = lines.map(line => JSON.parse(line));
+  assert.equal(records[0].conn, 'c1');
+  assert.equal(records[0].room, 'lobby');
+  assert.equal(records[1].error.message, 'boom');
+});
+
+test('pretty output is one readable line per record', () => {
+  const { logger, lines } = capture({ format: 'pretty', colors: false });
+  logger.info('server started', { port: 3001, store: 'memory' });
+  assert.match(lines[0], /^\d\d:\d\d:\d\d\.\d{3} INFO  server started port=3001 store=memory$/);
+});
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics, createRateWindow } = require('../metrics');
+
+test('renders counters and gauges in the Prometheus text format', async () => {
+  const metrics = createMetrics();
+  const hits = metrics.counter('test_hits_total', 'Hits');
+  metrics.counter('test_unused_total', 'Never used');
+  metrics.gauge('test_sizes', 'Sizes', async () => [{ labels: { kind: 'a "quoted"\nvalue' }, value: 2 }]);
+
+  hits.inc({ code: 'X' });
+  hits.inc({ code: 'X' }, 2);
+
+  assert.equal(await metrics.render(), [
+    '# HELP test_hits_total Hits',
+    '# TYPE test_hits_total counter',
+    'test_hits_total{code="X"} 3',
+    '# HELP test_unused_total Never used',
+    '# TYPE test_unused_total counter',
+    'test_unused_total 0',
+    '# HELP test_sizes Sizes',
+    '# TYPE test_sizes gauge',
+    'test_sizes{kind="a \\"quoted\\"\\nvalue"} 2',
+    ''
+  ].join('\n'));
+});
+
+test('averages events over the window', () => {
+  const rate = createRateWindow(10);
+  for (let i = 0; i < 5; i++) rate.mark();
+  assert.equal(rate.perSecond(), 0.5);
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { negotiateVersion, validateClientEvent, validateServerEvent } = require('../protocol');
+const protocol = require('../../shared/protocol.json');
+
+test('clients without a version speak version 1, unusable versions are refused', () => {
+  assert.equal(negotiateVersion(undefined), 1);
+  assert.equal(negotiateVersion(protocol.version + 1), protocol.version);
+  assert.equal(negotiateVersion(protocol.minVersion - 1), null);
+  assert.equal(negotiateVersion('1'), null);
+});
+
+test('client payloads are checked against the schema', () => {
+  const payload = { ciphertext: 'AAAA', iv: 'AAAA', nonce: 'n1', ttl: 5000 };
+  assert.equal(validateClientEvent('chat message', payload), null);
+  assert.equal(validateClientEvent('chat message', { ...payload, replyTo: null, extra: true }), null);
+
+  assert.deepEqual(validateClientEvent('typing', undefined), {
+    code: 'INVALID_PAYLOAD',
+    message: 'Invalid "typing": payload is required'
+  });
+  assert.match(validateClientEvent('update alias', { alias: 42 }).message, /alias must be a string/);
+  assert.match(validateClientEvent('chat message', { ...payload, ttl: 1.5 }).message, /ttl must be an integer/);
+  assert.match(validateClientEvent('chat message', { ...payload, nonce: 'n'.repeat(65) }).message, /nonce must be at most 64/);
+  assert.match(validateClientEvent('ban', { targetId: 'a', scope: 'all' }).message, /scope must be one of session, ip/);
+  assert.match(validateClientEvent('attachment chunk', { uploadId: 'a', index: 0, data: 'AAAA' }).message, /data must be binary/);
+  assert.equal(validateClientEvent('attachment chunk', { uploadId: 'a', index: 0, data: Buffer.alloc(4) }), null);
+  assert.equal(validateClientEvent('drop tables', {}).code, 'UNKNOWN_EVENT');
+});
+
+test('server payloads resolve shared types', () => {
+  const participant = {
+    id: 's1', alias: 'Neo', color: '#fff', fingerprint: 'f', role: 'member', joinedAt: 'now', presence: 'active'
+  };
+  assert.equal(validateServerEvent('roster', { participants: [participant] }), null);
+  assert.equal(
+    validateServerEvent('roster', { participants: [{ ...participant, role: 'admin' }] }),
+    'participants[0].role must be one of owner, member'
+  );
+  assert.equal(validateServerEvent('user count', 3), null);
+});
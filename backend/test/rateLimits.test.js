@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChatServer } = require('../server');
+const { createMemoryStore } = require('../store');
+const { testConfig, once, createRoom, login, join, closeSockets, encrypted } = require('./helpers');
+
+// Flood limits as seen by clients. Every test client shares one IP, so each
+// test gets a server and store of its own.
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const withServer = async (env, run) => {
+  const store = createMemoryStore();
+  const chat = createChatServer({ store, config: testConfig(env) });
+  const url = `http://localhost:${await chat.start(0)}`;
+  try {
+    await run(url);
+  } finally {
+    closeSockets();
+    await chat.close();
+    await store.close();
+  }
+};
+
+const send = (socket, payload = {}) => socket.emitWithAck('chat message', { ...encrypted(), ...payload });
+
+test('a burst is rate limited, and further strikes earn longer mutes', () => withServer({
+  RATE_MESSAGE_BURST: '2',
+  RATE_MESSAGES_PER_SEC: '0.01',
+  RATE_MUTE_STEPS_MS: '300,60000'
+}, async (url) => {
+  const { socket } = await join(url, (await createRoom(url)).ownerToken);
+
+  assert.equal((await send(socket)).status, 'ok');
+  assert.equal((await send(socket)).status, 'ok');
+  const limited = await send(socket);
+  assert.equal(limited.code, 'RATE_LIMITED');
+  assert.equal(limited.retryAfter, 1);
+  assert.equal((await send(socket)).code, 'MUTED');
+
+  // Out of the first mute, still out of tokens: the second strike mutes longer
+  await wait(350);
+  assert.equal((await send(socket)).code, 'RATE_LIMITED');
+  const muted = await send(socket);
+  assert.equal(muted.code, 'MUTED');
+  assert.ok(muted.retryAfter > 50);
+}));
+
+test('mutes survive a reconnect, and repeat violators are disconnected', () => withServer({
+  RATE_MESSAGE_BURST: '1',
+  RATE_MESSAGES_PER_SEC: '0.01',
+  RATE_MUTE_STEPS_MS: '100',
+  RATE_MAX_STRIKES: '2'
+}, async (url) => {
+  const { ownerToken } = await createRoom(url);
+  const first = await join(url, ownerToken);
+  await send(first.socket);
+  assert.equal((await send(first.socket)).code, 'RATE_LIMITED');
+
+  first.socket.disconnect();
+  const second = await join(url, ownerToken);
+  assert.equal((await send(second.socket)).code, 'MUTED');
+
+  // The new connection has a full bucket again, but not a clean record
+  await wait(150);
+  assert.equal((await send(second.socket)).status, 'ok');
+  const disconnected = once(second.socket, 'disconnect');
+  assert.equal((await send(second.socket)).code, 'FLOODING');
+  assert.equal(await disconnected, 'io server disconnect');
+
+  // The last mute outlasts the disconnect
+  const third = await join(url, ownerToken);
+  assert.equal((await send(third.socket)).code, 'MUTED');
+}));
+
+test('the IP bucket is shared by every socket and every kind of content', () => withServer({
+  RATE_IP_MESSAGE_BURST: '3',
+  RATE_IP_MESSAGES_PER_SEC: '0.01'
+}, async (url) => {
+  const { room, verifier, ownerToken } = await createRoom(url);
+  const owner = await join(url, ownerToken);
+  const member = await join(url, await login(url, room, verifier));
+
+  const { id } = await send(owner.socket);
+  assert.equal((await send(member.socket)).status, 'ok');
+  const direct = await member.socket.emitWithAck('direct message', { ...encrypted(), targetId: owner.session.id });
+  assert.equal(direct.status, 'ok');
+
+  const reaction = await owner.socket.emitWithAck('react', { messageId: id, emoji: '👍' });
+  assert.equal(reaction.code, 'RATE_LIMITED');
+  assert.match(reaction.message, /network/);
+}));
+
+test('the same message sent again and again is spam, retries of one message are not', () => withServer({
+  SPAM_MAX_REPEATS: '2'
+}, async (url) => {
+  const { socket } = await join(url, (await createRoom(url)).ownerToken);
+  const repeatTag = 'c2FtZSB0ZXh0IGV2ZXJ5IHRpbWU=';
+
+  const retried = { repeatTag, nonce: 'retry-1' };
+  assert.equal((await send(socket, retried)).status, 'ok');
+  assert.equal((await socket.emitWithAck('chat message', { ...encrypted(), ...retried })).duplicate, true);
+  assert.equal((await send(socket, { repeatTag, nonce: 'second' })).status, 'ok');
+  assert.equal((await send(socket, { repeatTag: 'b3RoZXIgdGV4dA==' })).status, 'ok');
+  assert.equal((await send(socket, { repeatTag, nonce: 'third' })).code, 'SPAM');
+}));
+
+test('without a repeat tag, a replayed frame is spam', () => withServer({
+  SPAM_MAX_REPEATS: '2'
+}, async (url) => {
+  const { socket } = await join(url, (await createRoom(url)).ownerToken);
+  const frame = encrypted();
+
+  assert.equal((await send(socket)).status, 'ok');
+  assert.equal((await send(socket, { ...frame, nonce: 'first' })).status, 'ok');
+  assert.equal((await send(socket, { ...frame, nonce: 'second' })).status, 'ok');
+  assert.equal((await send(socket, { ...frame, nonce: 'third' })).code, 'SPAM');
+}));
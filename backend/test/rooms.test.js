@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createMemoryStore } = require('../store');
+const { createRoomRegistry } = require('../rooms');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const roomOptions = () => ({
+  kdf: { salt: crypto.randomBytes(16).toString('base64'), iterations: 100000 },
+  verifier: crypto.randomBytes(32).toString('base64')
+});
+
+test('idle rooms expire, rooms in use and permanent rooms stay', async () => {
+  const store = createMemoryStore();
+  const rooms = createRoomRegistry(store, { idleTtlMs: 400 });
+  await rooms.createRoom('idle', roomOptions());
+  await rooms.createRoom('busy', roomOptions());
+  await rooms.createRoom('lobby', { ...roomOptions(), permanent: true });
+
+  await wait(250);
+  await rooms.touchRoom('busy');
+  await wait(250);
+  assert.equal(await rooms.getRoom('idle'), null);
+  assert.equal((await rooms.getRoom('busy')).name, 'busy');
+  assert.equal((await rooms.getRoom('lobby')).name, 'lobby');
+
+  await wait(200);
+  assert.equal(await rooms.getRoom('busy'), null);
+  assert.equal((await rooms.getRoom('lobby')).name, 'lobby');
+  await store.close();
+});
@@ -0,0 +1,140 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const RedisMock = require('ioredis-mock');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { createChatServer } = require('../server');
+const { createRedisStore } = require('../store');
+const { testConfig, once, createRoom, login, connect, join, closeSockets, encrypted } = require('./helpers');
+
+// Two server instances sharing one Redis stand-in, as they would behind a
+// load balancer. ioredis-mock shares its data between all clients in the
+// process, so each instance gets its own clients like it would in production.
+
+// Real Redis delivers every pub/sub message as 'messageBuffer', ioredis-mock
+// only Buffer payloads. The adapter sends its requests (remote disconnects
+// among them) as strings, so hand them over as Buffers.
+const withBufferPublish = (redis) => {
+  const publish = redis.publish.bind(redis);
+  redis.publish = (channel, message) => publish(channel, Buffer.from(message));
+  return redis;
+};
+
+// Like production, every instance gets the same session secret
+const config = testConfig({ SESSION_SECRET: crypto.randomBytes(32).toString('hex') });
+
+const startInstance = async () => {
+  const pubClient = withBufferPublish(new RedisMock());
+  const subClient = pubClient.duplicate();
+  const store = createRedisStore(new RedisMock());
+  const chat = createChatServer({ config, store, adapter: createAdapter(pubClient, subClient) });
+  const port = await chat.start(0);
+
+  return {
+    url: `http://localhost:${port}`,
+    async stop() {
+      await chat.close();
+      await store.close();
+      await Promise.all([pubClient.quit(), subClient.quit()]);
+    }
+  };
+};
+
+let first;
+let second;
+
+before(async () => {
+  first = await startInstance();
+  second = await startInstance();
+});
+
+after(async () => {
+  closeSockets();
+  await first.stop();
+  await second.stop();
+});
+
+test('a room created on one instance can be joined through the other', async () => {
+  const { room, verifier } = await createRoom(first.url);
+  const token = await login(second.url, room, verifier);
+  const { session } = await join(second.url, token);
+  assert.equal(typeof session.id, 'string');
+});
+
+test('messages reach clients on every instance and land in the shared backlog', async () => {
+  const { room, verifier, ownerToken } = await createRoom(first.url);
+  const owner = await join(first.url, ownerToken);
+  const member = await join(second.url, await login(second.url, room, verifier));
+
+  const received = once(owner.socket, 'chat message');
+  const payload = { ...encrypted(), nonce: 'n1' };
+  const ack = await member.socket.emitWithAck('chat message', payload);
+  assert.equal(ack.status, 'ok');
+
+  const message = await received;
+  assert.equal(message.id, ack.id);
+  assert.equal(message.ciphertext, payload.ciphertext);
+  assert.equal(message.senderId, member.session.id);
+
+  // A client that reconnects through the other instance and retries after a
+  // lost ack is answered with the original message
+  const reconnected = await join(first.url, member.socket.auth.token);
+  const retry = await reconnected.socket.emitWithAck('chat message', payload);
+  assert.equal(retry.duplicate, true);
+  assert.equal(retry.id, ack.id);
+
+  const lateJoiner = connect(first.url, await login(first.url, room, verifier));
+  const { messages } = await once(lateJoiner, 'history');
+  assert.deepEqual(messages.map(entry => entry.id), [ack.id]);
+});
+
+test('user counts and rosters include clients on every instance', async () => {
+  const { room, verifier, ownerToken } = await createRoom(first.url);
+  const owner = await join(first.url, ownerToken);
+
+  const count = once(owner.socket, 'user count');
+  const joined = once(owner.socket, 'presence');
+  const member = await join(second.url, await login(second.url, room, verifier));
+
+  assert.equal(await count, 2);
+  assert.equal((await joined).participant.id, member.session.id);
+  assert.deepEqual(
+    member.roster.participants.map(participant => participant.id).sort(),
+    [owner.session.id, member.session.id].sort()
+  );
+});
+
+test('moderation reaches sockets connected to the other instance', async () => {
+  const { room, verifier, ownerToken } = await createRoom(first.url);
+  const owner = await join(first.url, ownerToken);
+  const joined = once(owner.socket, 'presence');
+  const member = await join(second.url, await login(second.url, room, verifier));
+  await joined;
+
+  const moderated = once(member.socket, 'moderated');
+  const disconnected = once(member.socket, 'disconnect');
+  const left = once(owner.socket, 'presence');
+  const ack = await owner.socket.emitWithAck('ban', { targetId: member.session.id });
+  assert.equal(ack.status, 'ok');
+
+  assert.equal((await moderated).action, 'ban');
+  assert.equal(await disconnected, 'io server disconnect');
+  assert.deepEqual(await left, { type: 'leave', id: member.session.id });
+
+  // The ban is shared, so the other instance turns the session away too
+  const retry = connect(first.url, member.socket.auth.token);
+  const error = await once(retry, 'connect_error');
+  assert.equal(error.data.code, 'BANNED');
+});
+
+test('moderator mutes apply on every instance', async () => {
+  const { room, verifier, ownerToken } = await createRoom(second.url);
+  const owner = await join(second.url, ownerToken);
+  const member = await join(first.url, await login(first.url, room, verifier));
+
+  const ack = await owner.socket.emitWithAck('mute', { targetId: member.session.id, durationMs: 60000 });
+  assert.equal(ack.status, 'ok');
+
+  const result = await member.socket.emitWithAck('chat message', encrypted());
+  assert.equal(result.code, 'MUTED');
+});
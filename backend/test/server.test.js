@@ -0,0 +1,472 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createChatServer } = require('../server');
+const { createMemoryStore } = require('../store');
+const { validateServerEvent } = require('../protocol');
+const { leadingZeroBits } = require('../proofOfWork');
+const { testConfig, once, collect, post, createRoom, login, connect, join, closeSockets, encrypted } = require('./helpers');
+
+// The login API and the socket protocol of a single instance, driven through
+// a real Socket.IO client on an ephemeral port
+
+const PASSPHRASE = 'correct horse battery staple';
+// Seeded the way production is, from what `npm run room-verifier` prints
+const LOBBY_KDF = { salt: crypto.randomBytes(16).toString('base64'), iterations: 100000 };
+
+// What the browser does with a passphrase, see deriveRoomKeys() in the frontend
+const deriveVerifier = (passphrase, kdf) => {
+  const salt = Buffer.from(kdf.salt, 'base64');
+  const master = crypto.pbkdf2Sync(passphrase, salt, kdf.iterations, 32, 'sha256');
+  const verifier = crypto.hkdfSync('sha256', master, salt, 'anonychat:auth-verifier', 32);
+  return Buffer.from(verifier).toString('base64');
+};
+
+let chat;
+let url;
+
+before(async () => {
+  chat = createChatServer({
+    config: testConfig({
+      CHAT_ROOM_SALT: LOBBY_KDF.salt,
+      CHAT_ROOM_KDF_ITERATIONS: String(LOBBY_KDF.iterations),
+      CHAT_ROOM_VERIFIER: deriveVerifier(PASSPHRASE, LOBBY_KDF)
+    })
+  });
+  url = `http://localhost:${await chat.start(0)}`;
+});
+
+after(async () => {
+  closeSockets();
+  await chat.close();
+});
+
+test('logs in to the default room with a verifier derived from its passphrase', async () => {
+  const kdfResponse = await fetch(`${url}/api/rooms/lobby/kdf`);
+  const { kdf } = await kdfResponse.json();
+  assert.deepEqual(kdf, LOBBY_KDF);
+
+  const { status, body } = await post(url, '/api/login', { room: 'lobby', verifier: deriveVerifier(PASSPHRASE, kdf) });
+  assert.equal(status, 200);
+  assert.equal(body.room, 'lobby');
+  assert.equal(body.role, 'member');
+  assert.equal(typeof body.token, 'string');
+
+  const { session } = await join(url, body.token);
+  assert.equal(session.role, 'member');
+});
+
+test('rejects wrong passphrases and unknown rooms alike', async () => {
+  const { kdf } = await (await fetch(`${url}/api/rooms/lobby/kdf`)).json();
+
+  const wrong = await post(url, '/api/login', { room: 'lobby', verifier: deriveVerifier('guess', kdf) });
+  const unknown = await post(url, '/api/login', { room: 'no-such-room', verifier: deriveVerifier(PASSPHRASE, kdf) });
+  assert.equal(wrong.status, 401);
+  assert.deepEqual(unknown, wrong);
+
+  assert.equal((await post(url, '/api/login', { room: 'lobby' })).status, 400);
+
+  const socket = connect(url, 'forged');
+  assert.equal((await once(socket, 'connect_error')).data.code, 'TOKEN_INVALID');
+});
+
+// What the browser does with a login challenge, see solveChallenge() in the frontend
+const solveChallenge = ({ token, difficulty }) => {
+  for (let nonce = 0; ; nonce++) {
+    const digest = crypto.createHash('sha256').update(`${token}:${nonce}`).digest();
+    if (leadingZeroBits(digest) >= difficulty) return { token, nonce: String(nonce) };
+  }
+};
+
+const loginAt = async (serverUrl, body) => {
+  const response = await fetch(`${serverUrl}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, retryAfter: response.headers.get('Retry-After'), body: await response.json() };
+};
+
+test('an IP with too many wrong passphrases is told to wait', async () => {
+  const guarded = createChatServer({
+    config: testConfig({ CHAT_ROOM_PASSCODE: PASSPHRASE, LOGIN_IP_FREE_ATTEMPTS: '2', LOGIN_ROOM_FREE_ATTEMPTS: '100' })
+  });
+  const guardedUrl = `http://localhost:${await guarded.start(0)}`;
+
+  try {
+    const { kdf } = await (await fetch(`${guardedUrl}/api/rooms/lobby/kdf`)).json();
+    assert.equal((await loginAt(guardedUrl, { room: 'lobby', verifier: deriveVerifier('one', kdf) })).status, 401);
+    assert.equal((await loginAt(guardedUrl, { room: 'lobby', verifier: deriveVerifier('two', kdf) })).status, 401);
+
+    // Locked out, even with the right passphrase
+    const locked = await loginAt(guardedUrl, { room: 'lobby', verifier: deriveVerifier(PASSPHRASE, kdf) });
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'TOO_MANY_ATTEMPTS');
+    assert.equal(Number(locked.retryAfter), locked.body.retryAfter);
+    assert.ok(locked.body.retryAfter > 0);
+  } finally {
+    await guarded.close();
+  }
+});
+
+test('a room being guessed at only takes attempts with a solved challenge', async () => {
+  const store = createMemoryStore();
+  const guarded = createChatServer({
+    store,
+    config: testConfig({
+      CHAT_ROOM_PASSCODE: PASSPHRASE,
+      LOGIN_ROOM_FREE_ATTEMPTS: '2',
+      LOGIN_IP_FREE_ATTEMPTS: '100',
+      LOGIN_POW_BITS: '8'
+    })
+  });
+  const guardedUrl = `http://localhost:${await guarded.start(0)}`;
+
+  try {
+    const { kdf } = await (await fetch(`${guardedUrl}/api/rooms/lobby/kdf`)).json();
+    const right = deriveVerifier(PASSPHRASE, kdf);
+    for (let guess = 0; guess < 2; guess++) {
+      assert.equal((await loginAt(guardedUrl, { room: 'lobby', verifier: deriveVerifier(`guess ${guess}`, kdf) })).status, 401);
+    }
+
+    // Refused without looking at the verifier, so right and wrong look the same
+    const locked = await loginAt(guardedUrl, { room: 'lobby', verifier: right });
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'ROOM_LOCKED');
+    assert.ok(Number(locked.retryAfter) > 0);
+    assert.equal(locked.body.challenge.difficulty, 8);
+    const wrong = await loginAt(guardedUrl, { room: 'lobby', verifier: deriveVerifier('guess 2', kdf) });
+    assert.equal(wrong.body.code, 'ROOM_LOCKED');
+
+    // A solved challenge gets the right passphrase in, once
+    const proof = solveChallenge(locked.body.challenge);
+    assert.equal((await loginAt(guardedUrl, { room: 'lobby', verifier: right, proof })).status, 200);
+    assert.equal((await loginAt(guardedUrl, { room: 'lobby', verifier: right, proof })).status, 429);
+    const unsolved = { token: wrong.body.challenge.token, nonce: 'x' };
+    assert.equal((await loginAt(guardedUrl, { room: 'lobby', verifier: right, proof: unsolved })).status, 429);
+
+    // Names no room can have leave no counters behind
+    assert.equal((await loginAt(guardedUrl, { room: 'not a room!', verifier: 'x' })).status, 401);
+    assert.deepEqual(await store.keys('login:room:'), ['login:room:lobby']);
+  } finally {
+    await guarded.close();
+    await store.close();
+  }
+});
+
+test('room creation is capped in total and limited per IP', async () => {
+  const limited = createChatServer({ config: testConfig({ RATE_ROOM_CREATE_BURST: '3', MAX_ROOMS: '3' }) });
+  const limitedUrl = `http://localhost:${await limited.start(0)}`;
+  const kdf = { salt: crypto.randomBytes(16).toString('base64'), iterations: 100000 };
+  const create = (room) => fetch(`${limitedUrl}/api/rooms`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ room, kdf, verifier: crypto.randomBytes(32).toString('base64') })
+  });
+
+  try {
+    // The default room counts towards the cap
+    assert.equal((await create('first')).status, 201);
+    assert.equal((await create('second')).status, 201);
+    const full = await create('third');
+    assert.equal(full.status, 503);
+    assert.equal((await full.json()).code, 'TOO_MANY_ROOMS');
+
+    const limitedResponse = await create('fourth');
+    assert.equal(limitedResponse.status, 429);
+    assert.ok(Number(limitedResponse.headers.get('Retry-After')) > 0);
+    assert.equal((await limitedResponse.json()).code, 'RATE_LIMITED');
+  } finally {
+    await limited.close();
+  }
+});
+
+test('broadcasts messages to everyone in the room, sender included', async () => {
+  const { room, verifier, ownerToken } = await createRoom(url);
+  const sender = await join(url, ownerToken);
+  const receiver = await join(url, await login(url, room, verifier));
+
+  const delivered = Promise.all([once(sender.socket, 'chat message'), once(receiver.socket, 'chat message')]);
+  const payload = encrypted();
+  const ack = await sender.socket.emitWithAck('chat message', payload);
+  assert.equal(ack.status, 'ok');
+
+  for (const message of await delivered) {
+    assert.equal(message.id, ack.id);
+    assert.equal(message.ciphertext, payload.ciphertext);
+    assert.equal(message.senderId, sender.session.id);
+    assert.equal(message.alias, sender.session.alias);
+  }
+});
+
+test('rejects empty messages without broadcasting them', async () => {
+  const { room, verifier, ownerToken } = await createRoom(url);
+  const sender = await join(url, ownerToken);
+  const receiver = await join(url, await login(url, room, verifier));
+
+  const broadcast = collect(receiver.socket, 'chat message');
+  const ack = await sender.socket.emitWithAck('chat message', { ciphertext: '', iv: '' });
+  assert.equal(ack.code, 'EMPTY_MESSAGE');
+
+  // Without an ack callback the error arrives as an event
+  const error = once(sender.socket, 'error');
+  sender.socket.emit('chat message', { ciphertext: '', iv: 'AAAA' });
+  assert.equal((await error).code, 'EMPTY_MESSAGE');
+  assert.deepEqual(await broadcast, []);
+});
+
+test('owners can delete any message in the backlog, but not ones that never existed', async () => {
+  const { room, verifier, ownerToken } = await createRoom(url);
+  const owner = await join(url, ownerToken);
+  const member = await join(url, await login(url, room, verifier));
+  const { id } = await member.socket.emitWithAck('chat message', encrypted());
+
+  const broadcast = collect(member.socket, 'message deleted');
+  const missing = await owner.socket.emitWithAck('delete message', { messageId: 'no-such-message' });
+  assert.equal(missing.code, 'MESSAGE_NOT_FOUND');
+  assert.deepEqual(await broadcast, []);
+
+  const deleted = once(member.socket, 'message deleted');
+  assert.equal((await owner.socket.emitWithAck('delete message', { messageId: id })).status, 'ok');
+  assert.equal((await deleted).deletedBy, 'moderator');
+});
+
+test('only authors change their messages, and only within the edit window', async () => {
+  const timed = createChatServer({ config: testConfig({ EDIT_WINDOW_MS: '1000' }) });
+  const timedUrl = `http://localhost:${await timed.start(0)}`;
+
+  try {
+    const { room, verifier, ownerToken } = await createRoom(timedUrl);
+    const owner = await join(timedUrl, ownerToken);
+    const author = await join(timedUrl, await login(timedUrl, room, verifier));
+    const other = await join(timedUrl, await login(timedUrl, room, verifier));
+    const { id } = await author.socket.emitWithAck('chat message', encrypted());
+
+    const changes = collect(author.socket, 'message edited');
+    const edit = await other.socket.emitWithAck('edit message', { messageId: id, ...encrypted() });
+    assert.equal(edit.code, 'FORBIDDEN');
+    assert.equal((await other.socket.emitWithAck('delete message', { messageId: id })).code, 'FORBIDDEN');
+    assert.deepEqual(await changes, []);
+    assert.equal((await author.socket.emitWithAck('edit message', { messageId: id, ...encrypted() })).status, 'ok');
+
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    assert.equal((await author.socket.emitWithAck('edit message', { messageId: id, ...encrypted() })).code, 'EDIT_WINDOW_CLOSED');
+    assert.equal((await author.socket.emitWithAck('delete message', { messageId: id })).code, 'EDIT_WINDOW_CLOSED');
+    // Owners moderate at any time
+    assert.equal((await owner.socket.emitWithAck('delete message', { messageId: id })).status, 'ok');
+  } finally {
+    await timed.close();
+  }
+});
+
+test('self-destructing messages expire for everyone and leave the backlog', async () => {
+  const { room, verifier, ownerToken } = await createRoom(url);
+  const sender = await join(url, ownerToken);
+  const receiver = await join(url, await login(url, room, verifier));
+
+  const sent = Date.now();
+  const { id } = await sender.socket.emitWithAck('chat message', { ...encrypted(), ttl: 5000 });
+  const backlogOf = ({ socket }) => socket.received.find(([event]) => event === 'history')[1].messages.map(message => message.id);
+  assert.deepEqual(backlogOf(await join(url, await login(url, room, verifier))), [id]);
+
+  const expired = await Promise.all([once(sender.socket, 'message expired'), once(receiver.socket, 'message expired')]);
+  assert.deepEqual(expired, [{ id }, { id }]);
+  assert.ok(Date.now() - sent >= 4900);
+
+  assert.deepEqual(backlogOf(await join(url, await login(url, room, verifier))), []);
+});
+
+test('reactions are a single emoji', async () => {
+  const { ownerToken } = await createRoom(url);
+  const { socket } = await join(url, ownerToken);
+  const { id } = await socket.emitWithAck('chat message', encrypted());
+
+  for (const emoji of ['7', '12345', '#*', '👍👍👍👍', 'ok👍']) {
+    const ack = await socket.emitWithAck('react', { messageId: id, emoji });
+    assert.equal(ack.code, 'INVALID_REACTION', `"${emoji}" should be refused`);
+  }
+  for (const emoji of ['👍🏽', '👨‍👩‍👧', '🇫🇷', '1️⃣']) {
+    assert.equal((await socket.emitWithAck('react', { messageId: id, emoji })).status, 'ok', `"${emoji}" should be accepted`);
+  }
+});
+
+test('direct messages reach only the two participants', async () => {
+  const { room, verifier, ownerToken } = await createRoom(url);
+  const sender = await join(url, ownerToken);
+  const senderTab = await join(url, ownerToken);
+  const recipient = await join(url, await login(url, room, verifier));
+  const bystander = await join(url, await login(url, room, verifier));
+
+  const overheard = collect(bystander.socket, 'direct message');
+  const delivered = Promise.all([sender, senderTab, recipient].map(({ socket }) => once(socket, 'direct message')));
+  const payload = encrypted();
+  const ack = await sender.socket.emitWithAck('direct message', { targetId: recipient.session.id, ...payload });
+  assert.equal(ack.status, 'ok');
+
+  for (const message of await delivered) {
+    assert.equal(message.id, ack.id);
+    assert.equal(message.ciphertext, payload.ciphertext);
+    assert.equal(message.senderId, sender.session.id);
+    assert.equal(message.recipientId, recipient.session.id);
+  }
+  assert.deepEqual(await overheard, []);
+
+  // Not in the backlog, and nobody outside the room can be reached
+  const late = await join(url, await login(url, room, verifier));
+  assert.deepEqual(late.socket.received.find(([event]) => event === 'history')[1].messages, []);
+  const stranger = await join(url, (await createRoom(url)).ownerToken);
+  const outside = await sender.socket.emitWithAck('direct message', { targetId: stranger.session.id, ...encrypted() });
+  assert.equal(outside.code, 'NOT_FOUND');
+  assert.equal((await sender.socket.emitWithAck('direct message', { targetId: sender.session.id, ...encrypted() })).code, 'NOT_FOUND');
+});
+
+test('typing reaches the others but not the typist', async () => {
+  const { room, verifier, ownerToken } = await createRoom(url);
+  const typist = await join(url, ownerToken);
+  const other = await join(url, await login(url, room, verifier));
+
+  const echoed = collect(typist.socket, 'user typing');
+  const seen = once(other.socket, 'user typing');
+  typist.socket.emit('typing', { isTyping: true });
+
+  assert.deepEqual(await seen, { isTyping: true, alias: typist.session.alias, userId: typist.session.id });
+  assert.deepEqual(await echoed, []);
+});
+
+test('typing state follows the session: refreshes are quiet, leaving clears it', async () => {
+  const { room, verifier, ownerToken } = await createRoom(url);
+  const typist = await join(url, ownerToken);
+  const other = await join(url, await login(url, room, verifier));
+
+  const started = once(other.socket, 'user typing');
+  typist.socket.emit('typing', { isTyping: true });
+  await started;
+  const refreshes = collect(other.socket, 'user typing');
+  typist.socket.emit('typing', { isTyping: true });
+  assert.deepEqual(await refreshes, []);
+
+  // Newcomers get a snapshot of who is typing
+  const newcomer = await join(url, await login(url, room, verifier));
+  const [, snapshot] = newcomer.socket.received.find(([event]) => event === 'typing state');
+  assert.deepEqual(snapshot, { typers: [{ userId: typist.session.id, alias: typist.session.alias }] });
+
+  const cleared = once(other.socket, 'user typing');
+  typist.socket.disconnect();
+  assert.deepEqual(await cleared, { isTyping: false, alias: typist.session.alias, userId: typist.session.id });
+});
+
+test('alias updates are confirmed, announced and must be unique', async () => {
+  const { room, verifier, ownerToken } = await createRoom(url);
+  const renamer = await join(url, ownerToken);
+  const other = await join(url, await login(url, room, verifier));
+
+  const confirmed = once(renamer.socket, 'session');
+  const announced = once(other.socket, 'alias changed');
+  renamer.socket.emit('update alias', { alias: 'Neo' });
+
+  assert.equal((await confirmed).alias, 'Neo');
+  const change = await announced;
+  assert.equal(change.id, renamer.session.id);
+  assert.equal(change.oldAlias, renamer.session.alias);
+  assert.equal(change.alias, 'Neo');
+
+  const rejected = once(other.socket, 'error');
+  const reverted = once(other.socket, 'session');
+  other.socket.emit('update alias', { alias: 'neo' });
+  assert.equal((await rejected).code, 'ALIAS_REJECTED');
+  assert.equal((await reverted).alias, other.session.alias);
+});
+
+test('joins and leaves are announced with the new user count', async () => {
+  const { room, verifier, ownerToken } = await createRoom(url);
+  const owner = await join(url, ownerToken);
+
+  const joined = once(owner.socket, 'user joined');
+  const grown = once(owner.socket, 'user count');
+  const member = await join(url, await login(url, room, verifier));
+  assert.equal((await joined).id, member.session.id);
+  assert.equal(await grown, 2);
+
+  const left = once(owner.socket, 'user left');
+  const shrunk = once(owner.socket, 'user count');
+  member.socket.disconnect();
+  assert.equal((await left).id, member.session.id);
+  assert.equal(await shrunk, 1);
+});
+
+test('the user count counts people, not their tabs', async () => {
+  const { room, verifier, ownerToken } = await createRoom(url);
+  const owner = await join(url, ownerToken);
+  const memberToken = await login(url, room, verifier);
+  const grown = once(owner.socket, 'user count');
+  const member = await join(url, memberToken);
+  assert.equal(await grown, 2);
+
+  const counts = collect(owner.socket, 'user count');
+  const secondTab = await join(url, memberToken);
+  assert.equal(secondTab.roster.participants.length, 2);
+  secondTab.socket.disconnect();
+  assert.deepEqual(await counts, [2, 2]);
+
+  const shrunk = once(owner.socket, 'user count');
+  member.socket.disconnect();
+  assert.equal(await shrunk, 1);
+});
+
+test('malformed and unknown events are refused with a code', async () => {
+  const { ownerToken } = await createRoom(url);
+  const { socket } = await join(url, ownerToken);
+
+  const ack = await socket.emitWithAck('chat message', { ciphertext: 42, iv: 'AAAA' });
+  assert.equal(ack.status, 'error');
+  assert.equal(ack.code, 'INVALID_PAYLOAD');
+
+  // These used to crash or slip through the handlers
+  const errors = [once(socket, 'error')];
+  socket.emit('typing');
+  assert.equal((await errors[0]).code, 'INVALID_PAYLOAD');
+
+  const aliasError = once(socket, 'error');
+  socket.emit('update alias', { alias: { toString: 'x' } });
+  assert.equal((await aliasError).code, 'INVALID_PAYLOAD');
+
+  const unknown = once(socket, 'error');
+  socket.emit('make owner', {});
+  assert.equal((await unknown).code, 'UNKNOWN_EVENT');
+});
+
+test('the protocol version is negotiated when connecting', async () => {
+  const { ownerToken } = await createRoom(url);
+  const { session } = await join(url, ownerToken, { protocol: 1 });
+  assert.equal(session.protocol, 1);
+
+  const outdated = connect(url, ownerToken, { protocol: 0 });
+  assert.equal((await once(outdated, 'connect_error')).data.code, 'PROTOCOL_UNSUPPORTED');
+});
+
+test('everything the server sends matches the shared schema', async () => {
+  const { room, verifier, ownerToken } = await createRoom(url);
+  const owner = await join(url, ownerToken);
+  const member = await join(url, await login(url, room, verifier));
+  const ack = await owner.socket.emitWithAck('chat message', { ...encrypted(), nonce: 'n1', ttl: 60000 });
+  await member.socket.emitWithAck('react', { messageId: ack.id, emoji: '👍' });
+  await owner.socket.emitWithAck('edit message', { messageId: ack.id, ...encrypted() });
+  member.socket.emit('typing', { isTyping: true });
+  member.socket.emit('update alias', { alias: 'Trinity' });
+  await member.socket.emitWithAck('direct message', { targetId: owner.session.id, ...encrypted() });
+  await owner.socket.emitWithAck('delete message', { messageId: ack.id });
+  await owner.socket.emitWithAck('mute', { targetId: member.session.id, durationMs: 60000 });
+  const left = once(owner.socket, 'user left');
+  await owner.socket.emitWithAck('kick', { targetId: member.session.id });
+  await left;
+
+  const received = [...owner.socket.received, ...member.socket.received];
+  const events = new Set(received.map(([event]) => event));
+  for (const event of ['session', 'history', 'room settings', 'typing state', 'roster', 'user joined', 'presence', 'user count', 'chat message', 'reactions updated',
+    'message edited', 'user typing', 'alias changed', 'direct message', 'message deleted', 'moderation']) {
+    assert.ok(events.has(event), `expected a "${event}" event`);
+  }
+  for (const [event, payload] of received) {
+    assert.equal(validateServerEvent(event, payload), null, `"${event}" does not match the schema`);
+  }
+});
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChatServer } = require('../server');
+const { testConfig, once, createRoom, connect, encrypted } = require('./helpers');
+
+test('shutdown warns clients, lets them flush, then closes their transport', async () => {
+  const chat = createChatServer({ config: testConfig() });
+  const url = `http://localhost:${await chat.start(0)}`;
+
+  const { ownerToken } = await createRoom(url);
+  const socket = connect(url, ownerToken);
+  await once(socket, 'roster');
+
+  const restarting = once(socket, 'server restarting');
+  const disconnected = once(socket, 'disconnect');
+  const closed = chat.close({ graceMs: 500 });
+
+  assert.equal((await restarting).graceMs, 500);
+  const ack = await socket.emitWithAck('chat message', encrypted());
+  assert.equal(ack.status, 'ok');
+
+  // Not 'io server disconnect', which Socket.IO clients don't retry
+  assert.equal(await disconnected, 'transport close');
+  await closed;
+});
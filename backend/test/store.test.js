@@ -0,0 +1,95 @@
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const RedisMock = require('ioredis-mock');
+const { createMemoryStore, createRedisStore } = require('../store');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Both implementations have to behave the same, whichever one a server gets
+const implementations = {
+  memory: () => createMemoryStore(),
+  redis: () => createRedisStore(new RedisMock(), { prefix: `store-test-${Date.now()}:` })
+};
+
+for (const [name, create] of Object.entries(implementations)) {
+  describe(`${name} store`, () => {
+    const store = create();
+    after(() => store.close());
+
+    test('round-trips JSON values and deletes them', async () => {
+      await store.set('value', { list: [1, 2], nested: { ok: true } });
+      assert.deepEqual(await store.get('value'), { list: [1, 2], nested: { ok: true } });
+
+      await store.delete('value');
+      assert.equal(await store.get('value'), null);
+    });
+
+    test('expires values after their ttl', async () => {
+      await store.set('short', 1, { ttlMs: 30 });
+      assert.equal(await store.get('short'), 1);
+      await wait(60);
+      assert.equal(await store.get('short'), null);
+    });
+
+    test('setIfAbsent only writes missing keys', async () => {
+      assert.equal(await store.setIfAbsent('once', 'first'), true);
+      assert.equal(await store.setIfAbsent('once', 'second'), false);
+      assert.equal(await store.get('once'), 'first');
+    });
+
+    test('concurrent updates of one key are not lost', async () => {
+      await Promise.all(Array.from({ length: 20 }, () =>
+        store.update('counter', (count) => (count || 0) + 1)
+      ));
+      assert.equal(await store.get('counter'), 20);
+
+      assert.equal(await store.update('counter', () => null), null);
+      assert.equal(await store.get('counter'), null);
+    });
+
+    test('updates set the ttl', async () => {
+      assert.equal(await store.update('updated', () => 'fresh', { ttlMs: 30 }), 'fresh');
+      await wait(60);
+      assert.equal(await store.get('updated'), null);
+    });
+
+    test('lists keys by prefix', async () => {
+      await store.set('list:a', 1);
+      await store.set('list:b', 2);
+      await store.set('other', 3);
+      assert.deepEqual((await store.keys('list:')).sort(), ['list:a', 'list:b']);
+    });
+
+    test('keeps hash fields apart', async () => {
+      await store.hashSet('hash', 'a', { n: 1 });
+      await store.hashSet('hash', 'b', { n: 2 });
+      assert.deepEqual(await store.hashGet('hash', 'b'), { n: 2 });
+
+      await store.hashDelete('hash', 'a');
+      assert.deepEqual(await store.hashGetAll('hash'), { b: { n: 2 } });
+      assert.equal(await store.hashGet('hash', 'a'), null);
+    });
+  });
+}
+
+test('redis updates from several instances are not lost', async () => {
+  // ioredis-mock clients share their data, like two instances on one Redis
+  const prefix = `store-test-${Date.now()}:`;
+  const instances = [0, 1].map(() => createRedisStore(new RedisMock(), { prefix }));
+
+  await Promise.all(instances.flatMap(store => Array.from({ length: 10 }, () =>
+    store.update('shared', (count) => (count || 0) + 1)
+  )));
+  assert.equal(await instances[0].get('shared'), 20);
+
+  // A write from elsewhere between reading and writing makes the update run again
+  let runs = 0;
+  const next = await instances[0].update('raced', (count) => {
+    runs += 1;
+    if (runs === 1) instances[1].set('raced', 10);
+    return (count || 0) + 1;
+  });
+  assert.deepEqual([next, runs], [11, 2]);
+
+  await Promise.all(instances.map(store => store.close()));
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../store');
+const { createTypingTracker } = require('../typing');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createTracker = (ttlMs = 50) => {
+  const expired = [];
+  const store = createMemoryStore();
+  const typing = createTypingTracker(store, {
+    ttlMs,
+    onExpire: (room, sessionId, entry) => expired.push([room, sessionId, entry.alias])
+  });
+  return { typing, expired, store };
+};
+
+test('keys typers by session, so equal aliases are told apart', async () => {
+  const { typing, store } = createTracker(1000);
+  assert.equal(await typing.touch('lobby', 'a', 'Neo'), true);
+  assert.equal(await typing.touch('lobby', 'b', 'Neo'), true);
+  // A refresh is not news
+  assert.equal(await typing.touch('lobby', 'a', 'Neo'), false);
+
+  assert.equal((await typing.remove('lobby', 'a')).alias, 'Neo');
+  assert.equal(await typing.remove('lobby', 'a'), null);
+  assert.deepEqual(await typing.list('lobby'), [{ userId: 'b', alias: 'Neo' }]);
+
+  await typing.stop();
+  await store.close();
+});
+
+test('clears typers that stop refreshing', async () => {
+  const { typing, expired, store } = createTracker();
+  await typing.touch('lobby', 'a', 'Neo');
+  await wait(30);
+  await typing.touch('lobby', 'a', 'Neo');
+  await wait(30);
+  assert.deepEqual(expired, []);
+
+  await wait(50);
+  assert.deepEqual(expired, [['lobby', 'a', 'Neo']]);
+  assert.deepEqual(await typing.list('lobby'), []);
+  await store.close();
+});
+
+test('lets go of typers refreshed through another instance', async () => {
+  const store = createMemoryStore();
+  const expired = [];
+  const [first, second] = [0, 1].map(() => createTypingTracker(store, {
+    ttlMs: 50,
+    onExpire: (room, sessionId) => expired.push([room, sessionId])
+  }));
+
+  await first.touch('lobby', 'a', 'Neo');
+  await wait(20);
+  await second.touch('lobby', 'a', 'Neo');
+  // The first instance's timer has gone off, the entry is the second's now
+  await wait(40);
+  await first.stop();
+  assert.deepEqual(expired, []);
+  assert.deepEqual(await first.list('lobby'), [{ userId: 'a', alias: 'Neo' }]);
+
+  await wait(40);
+  assert.deepEqual(expired, [['lobby', 'a']]);
+  await store.close();
+});
+
+test('ends its own typers on stop', async () => {
+  const { typing, expired, store } = createTracker(1000);
+  await typing.touch('lobby', 'a', 'Neo');
+  await typing.stop();
+  assert.deepEqual(expired, [['lobby', 'a', 'Neo']]);
+  assert.deepEqual(await typing.list('lobby'), []);
+  await store.close();
+});
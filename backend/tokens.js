@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// Session tokens are `<payload>.<signature>`, both base64url encoded.
+// The signature is an HMAC-SHA256 of the encoded payload with the server secret.
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+const sign = (data, secret) =>
+  crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+const tokenError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+function signToken(claims, secret, ttlMs) {
+  const issuedAt = Date.now();
+  const payload = { ...claims, iat: issuedAt, exp: issuedAt + ttlMs };
+  const encoded = toBase64Url(JSON.stringify(payload));
+
+  return {
+    token: `${encoded}.${sign(encoded, secret)}`,
+    expiresAt: payload.exp
+  };
+}
+
+// Returns the token claims, or throws an error carrying `data.code`
+// (TOKEN_MISSING, TOKEN_INVALID or TOKEN_EXPIRED) that Socket.IO forwards to the client.
+function verifyToken(token, secret) {
+  if (!token || typeof token !== 'string') {
+    throw tokenError('Session token is required', 'TOKEN_MISSING');
+  }
+
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) {
+    throw tokenError('Malformed session token', 'TOKEN_INVALID');
+  }
+
+  const expected = Buffer.from(sign(encoded, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw tokenError('Invalid session token', 'TOKEN_INVALID');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch {
+    throw tokenError('Malformed session token', 'TOKEN_INVALID');
+  }
+
+  if (typeof payload.exp !== 'number' || payload.exp <= Date.now()) {
+    throw tokenError('Session token has expired', 'TOKEN_EXPIRED');
+  }
+
+  return payload;
+}
+
+module.exports = { signToken, verifyToken };
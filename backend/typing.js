@@ -0,0 +1,81 @@
+// Who is typing in which room, keyed by session identity so two participants
+// with the same alias never clear each other's indicator. Entries live in the
+// shared store, where any instance can list them for newcomers, and run out
+// after `ttlMs` unless the typer refreshes them. The instance that last saw an
+// entry refreshed times it out and calls `onExpire(room, sessionId, entry)`.
+function createTypingTracker(store, { ttlMs, onExpire }) {
+  // typing:<room> -> session id -> { alias, expiresAt }
+  const roomKey = (room) => `typing:${room}`;
+  // `${room}\n${sessionId}` -> expiry timer, for the entries this instance set
+  const timers = new Map();
+
+  const cancelTimer = (room, sessionId) => {
+    const timerKey = `${room}\n${sessionId}`;
+    clearTimeout(timers.get(timerKey));
+    timers.delete(timerKey);
+  };
+
+  // Removes the entry, resolving with it when the session was typing
+  const remove = async (room, sessionId) => {
+    cancelTimer(room, sessionId);
+    const entry = await store.hashGet(roomKey(room), sessionId);
+    if (!entry) return null;
+    await store.hashDelete(roomKey(room), sessionId);
+    return entry;
+  };
+
+  const expire = async (room, sessionId, timer) => {
+    const timerKey = `${room}\n${sessionId}`;
+    const entry = await store.hashGet(roomKey(room), sessionId);
+    // Unless touched here again meanwhile, the entry isn't ours to time any more
+    if (timers.get(timerKey) === timer) timers.delete(timerKey);
+    // Gone, or refreshed through another instance that times it now
+    if (!entry || entry.expiresAt > Date.now()) return;
+    await store.hashDelete(roomKey(room), sessionId);
+    onExpire(room, sessionId, entry);
+  };
+
+  return {
+    remove,
+
+    // Starts or refreshes an entry. Resolves true when the session wasn't
+    // typing before, which is when the room needs to hear about it.
+    async touch(room, sessionId, alias) {
+      const previous = await store.hashGet(roomKey(room), sessionId);
+      await store.hashSet(roomKey(room), sessionId, { alias, expiresAt: Date.now() + ttlMs });
+
+      cancelTimer(room, sessionId);
+      const timer = setTimeout(() => {
+        expire(room, sessionId, timer).catch(() => {});
+      }, ttlMs);
+      timer.unref();
+      timers.set(`${room}\n${sessionId}`, timer);
+
+      return !previous || previous.expiresAt <= Date.now() || previous.alias !== alias;
+    },
+
+    // [{ userId, alias }] of everyone typing in `room` right now. Entries left
+    // behind by an instance that went away are skipped and cleaned up.
+    async list(room) {
+      const entries = Object.entries(await store.hashGetAll(roomKey(room)));
+      const now = Date.now();
+      const stale = entries.filter(([, entry]) => entry.expiresAt <= now);
+      await Promise.all(stale.map(([sessionId]) => store.hashDelete(roomKey(room), sessionId)));
+      return entries
+        .filter(([, entry]) => entry.expiresAt > now)
+        .map(([sessionId, entry]) => ({ userId: sessionId, alias: entry.alias }));
+    },
+
+    // Ends the entries this instance is timing, on shutdown, so the rooms
+    // don't wait out the expiry
+    async stop() {
+      const owned = Array.from(timers.keys()).map(timerKey => timerKey.split('\n'));
+      await Promise.all(owned.map(async ([room, sessionId]) => {
+        const entry = await remove(room, sessionId);
+        if (entry) onExpire(room, sessionId, entry);
+      }));
+    }
+  };
+}
+
+module.exports = { createTypingTracker };
@@ -1,25 +1,196 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useReducer, useRef } from 'react';
 import io from 'socket.io-client';
+import {
+  KDF_ITERATIONS,
+  generateSalt,
+  deriveRoomKeys,
+  encryptPayload,
+  decryptPayload,
+  encryptBytes,
+  decryptBytes,
+  exportRoomKey,
+  importMessageKey,
+  deriveRepeatKey,
+  repeatTag
+} from './crypto';
+import { renderMessageText, mentionsAlias } from './formatting';
+import { PROTOCOL_VERSION, CLIENT_EVENTS, SERVER_EVENTS } from './protocol';
+import { showUnreadCount, playChime } from './unread';
+import { solveChallenge } from './proofOfWork';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+const ACK_TIMEOUT_MS = 10000;
+
+const IDLE_AFTER_MS = 2 * 60 * 1000;
+
+const PRESENCE_LABELS = {
+  active: 'Active',
+  idle: 'Idle',
+  away: 'Away'
+};
+
+// Self-destruct timers a sender can pick, and the defaults a new room can set
+const MESSAGE_TTL_OPTIONS = [
+  { label: '10s', ms: 10 * 1000 },
+  { label: '1m', ms: 60 * 1000 },
+  { label: '1h', ms: 60 * 60 * 1000 }
+];
+
+const ROOM_TTL_OPTIONS = [
+  { label: 'Never', ms: 0 },
+  { label: 'After 1 minute', ms: 60 * 1000 },
+  { label: 'After 1 hour', ms: 60 * 60 * 1000 },
+  { label: 'After 1 day', ms: 24 * 60 * 60 * 1000 }
+];
+
+// Alerts for a background tab, each stored under its own localStorage key
+const ALERT_PREFERENCES = {
+  mentions: 'anonymousChatMentionNotifications',
+  messages: 'anonymousChatMessageNotifications',
+  sound: 'anonymousChatSound',
+  showSender: 'anonymousChatNotificationSender'
+};
+
+const loadAlertPreferences = () => Object.fromEntries(
+  Object.entries(ALERT_PREFERENCES).map(([name, key]) => [name, localStorage.getItem(key) === 'true'])
+);
+
+// What owners can pick for invite links
+const INVITE_EXPIRY_OPTIONS = [
+  { label: '1 hour', ms: 60 * 60 * 1000 },
+  { label: '1 day', ms: 24 * 60 * 60 * 1000 },
+  { label: '7 days', ms: 7 * 24 * 60 * 60 * 1000 }
+];
+const INVITE_USE_OPTIONS = [1, 5, 25, 100];
+
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
+const CONNECTION_LABELS = {
+  connecting: 'Connecting...',
+  reconnecting: 'Reconnecting...',
+  offline: 'Offline'
+};
+
+// Who is typing, as { [sessionId]: alias }. The server decides and sends
+// changes; socket handlers dispatch them here instead of copying state they
+// captured when the socket was set up.
+const typingReducer = (typers, action) => {
+  switch (action.type) {
+    case 'snapshot':
+      return Object.fromEntries(action.typers.map(({ userId, alias }) => [userId, alias]));
+    case 'typing': {
+      const others = { ...typers };
+      delete others[action.userId];
+      return action.isTyping ? { ...others, [action.userId]: action.alias } : others;
+    }
+    case 'renamed':
+      return action.userId in typers ? { ...typers, [action.userId]: action.alias } : typers;
+    case 'reset':
+      return {};
+    default:
+      return typers;
+  }
+};
 
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [passphrase, setPassphrase] = useState('');
+  const [room, setRoom] = useState(() => localStorage.getItem('anonymousChatRoom') || 'lobby');
+  const [isCreatingRoom, setIsCreatingRoom] = useState(false);
+  const [adminPassphrase, setAdminPassphrase] = useState('');
+  const [newRoomTtl, setNewRoomTtl] = useState(0);
+  const [currentRoom, setCurrentRoom] = useState('');
+  // Login lockout after too many failed attempts (HTTP 429)
+  const [lockoutUntil, setLockoutUntil] = useState(0);
+  const [lockoutRemaining, setLockoutRemaining] = useState(0);
   const [alias, setAlias] = useState('');
   const [message, setMessage] = useState('');
   const [messages, setMessages] = useState([]);
+  // Self-destruct timer for outgoing messages, 0 uses the room default
+  const [messageTtl, setMessageTtl] = useState(0);
+  const [roomDefaultTtl, setRoomDefaultTtl] = useState(null);
+  // How long the server lets authors edit or delete their messages
+  const [editWindowMs, setEditWindowMs] = useState(0);
+  // Server limits for attachments: { maxBytes, chunkBytes, types }
+  const [attachmentLimits, setAttachmentLimits] = useState(null);
+  // { name, progress } while an attachment is being encrypted and uploaded
+  const [upload, setUpload] = useState(null);
+  // Attachment id -> object URL of the decrypted file
+  const [attachmentUrls, setAttachmentUrls] = useState({});
+  // The message being answered or edited by the composer, at most one of them
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  // Direct message threads: the peers we have a thread with, the one on
+  // screen (null for the room) and unread counts per peer id
+  const [directThreads, setDirectThreads] = useState([]);
+  const [activeThread, setActiveThread] = useState(null);
+  const [unreadDirect, setUnreadDirect] = useState({});
+  // Notifications for @mentions or every message, a chime, and whether
+  // notifications may name the sender; all off until asked for
+  const [alertPreferences, setAlertPreferences] = useState(loadAlertPreferences);
+  const [showAlertMenu, setShowAlertMenu] = useState(false);
+  // Messages that arrived while the tab was hidden, and the first of them in
+  // the room, which gets a divider and a button to jump back to it
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [firstUnreadId, setFirstUnreadId] = useState(null);
+  const [showJumpToUnread, setShowJumpToUnread] = useState(false);
+  // Ticks while any message has a deadline, drives the countdowns
+  const [now, setNow] = useState(Date.now());
   const [socket, setSocket] = useState(null);
   const [error, setError] = useState('');
-  const [clientId, setClientId] = useState('');
-  const [onlineUsers, setOnlineUsers] = useState(0);
-  const [isTyping, setIsTyping] = useState(false);
-  const [typingUsers, setTypingUsers] = useState(new Set());
+  // Server-issued { id, alias, color, fingerprint } for this session
+  const [identity, setIdentity] = useState(null);
+  // Room roster: [{ id, alias, color, fingerprint, role, joinedAt, presence }]
+  const [participants, setParticipants] = useState([]);
+  const [showParticipants, setShowParticipants] = useState(() => window.innerWidth > 768);
+  // connecting | online | reconnecting | offline
+  const [connectionStatus, setConnectionStatus] = useState('connecting');
+  // Set by a 'server restarting' notice until we are connected again
+  const [serverRestarting, setServerRestarting] = useState(false);
+  // Owner-only moderation menu: { x, y, target: { id, alias }, message? }
+  const [contextMenu, setContextMenu] = useState(null);
+  // Owner view of the room's invite links: [{ id, uses, maxUses, createdAt, expiresAt }]
+  const [invites, setInvites] = useState([]);
+  const [inviteExpiry, setInviteExpiry] = useState(INVITE_EXPIRY_OPTIONS[1].ms);
+  const [inviteMaxUses, setInviteMaxUses] = useState(INVITE_USE_OPTIONS[0]);
+  // The link of the invite created last, its token isn't shown anywhere else
+  const [newInviteLink, setNewInviteLink] = useState('');
+  const [invitePassphrase, setInvitePassphrase] = useState('');
+  const [typingUsers, dispatchTyping] = useReducer(typingReducer, {});
   
   const messagesEndRef = useRef(null);
   const messageInputRef = useRef(null);
   const typingTimeoutRef = useRef(null);
+  // When we last told the server we are typing, 0 while we aren't
+  const typingSentAtRef = useRef(0);
+  // The server clears typers after `typingTtlMs` without a refresh
+  const typingRefreshMsRef = useRef(3000);
+  const sessionRef = useRef(null);
+  // Mirrors `socket` for callbacks created before the state update lands
+  const socketRef = useRef(null);
+  const refreshTimeoutRef = useRef(null);
+  // { key, room } for the end-to-end message encryption, never sent anywhere
+  const roomCryptoRef = useRef(null);
+  // Decrypts incoming messages one at a time so they keep arrival order
+  const receiveQueueRef = useRef(Promise.resolve());
+  // Newest chat message id we have, so a reconnect only fetches what we missed
+  const lastMessageIdRef = useRef(null);
+  // Encrypted messages waiting for a server ack: [{ nonce, payload }]
+  const outboxRef = useRef([]);
+  // Presence we last reported; the server starts every connection as 'active'
+  const presenceRef = useRef('active');
+  // Mirror state read from socket handlers, which outlive the render they were created in
+  const identityRef = useRef(null);
+  const alertPreferencesRef = useRef(alertPreferences);
+  const unreadCountRef = useRef(0);
+  const unreadDividerRef = useRef(null);
+  const fileInputRef = useRef(null);
+  // Same as `attachmentUrls`, readable right away and while fetches are in flight
+  const attachmentUrlsRef = useRef({});
+  const attachmentFetchesRef = useRef(new Set());
+  const activeThreadRef = useRef(null);
 
   // Load alias from localStorage on component mount
   useEffect(() => {
@@ -31,17 +202,196 @@ function App() {
       setAlias(randomAlias);
       localStorage.setItem('anonymousChatAlias', randomAlias);
     }
+  }, []);
+
+  // Opened from an invite link: #invite=<token>&key=<room key>. The fragment
+  // is dropped right away so the link doesn't linger in the address bar, and
+  // a second run of this effect finds nothing to redeem.
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const inviteToken = params.get('invite');
+    const encodedKey = params.get('key');
+    if (!inviteToken || !encodedKey) return;
 
-    const generatedClientId = `client_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    setClientId(generatedClientId);
-    localStorage.setItem('anonymousChatClientId', generatedClientId);
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    joinWithInvite(inviteToken, encodedKey);
   }, []);
 
+  // Owners see the room's invites in the participants panel
+  useEffect(() => {
+    if (isAuthenticated && showParticipants && identity?.role === 'owner') {
+      loadInvites();
+    }
+  }, [isAuthenticated, showParticipants, identity?.role]);
+
   // Scroll to bottom when messages change
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
+  // Follow the browser's own idea of connectivity, it reacts faster than socket timeouts
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const handleOffline = () => setConnectionStatus('offline');
+    const handleOnline = () => {
+      const activeSocket = socketRef.current;
+      if (activeSocket?.connected) {
+        setConnectionStatus('online');
+      } else if (activeSocket) {
+        setConnectionStatus('reconnecting');
+        activeSocket.connect();
+      }
+    };
+
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener('online', handleOnline);
+    return () => {
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener('online', handleOnline);
+    };
+  }, [isAuthenticated]);
+
+  // Close the moderation menu on any outside click or Escape
+  useEffect(() => {
+    if (!contextMenu) return;
+
+    const close = () => setContextMenu(null);
+    const handleKeyDown = (e) => e.key === 'Escape' && close();
+    window.addEventListener('click', close);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('click', close);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [contextMenu]);
+
+  // Hiding the tab starts a new batch of unread messages; coming back clears
+  // the count and offers to jump to where the batch starts
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const handleVisibility = () => {
+      if (document.hidden) {
+        setFirstUnreadId(null);
+        setShowJumpToUnread(false);
+        return;
+      }
+      setShowJumpToUnread(unreadCountRef.current > 0);
+      unreadCountRef.current = 0;
+      setUnreadCount(0);
+    };
+
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, [isAuthenticated]);
+
+  useEffect(() => {
+    showUnreadCount(unreadCount);
+  }, [unreadCount]);
+
+  // Close the alert settings on any outside click or Escape
+  useEffect(() => {
+    if (!showAlertMenu) return;
+
+    const close = () => setShowAlertMenu(false);
+    const handleKeyDown = (e) => e.key === 'Escape' && close();
+    window.addEventListener('click', close);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('click', close);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [showAlertMenu]);
+
+  // Report active / idle / away from input activity and tab visibility
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    let lastInputAt = Date.now();
+
+    const reportPresence = () => {
+      let state = 'active';
+      if (document.hidden) {
+        state = 'away';
+      } else if (Date.now() - lastInputAt > IDLE_AFTER_MS) {
+        state = 'idle';
+      }
+
+      const activeSocket = socketRef.current;
+      if (state !== presenceRef.current && activeSocket?.connected) {
+        presenceRef.current = state;
+        activeSocket.emit(CLIENT_EVENTS.ACTIVITY, { state });
+      }
+    };
+
+    const handleInput = () => {
+      lastInputAt = Date.now();
+      if (presenceRef.current === 'idle') reportPresence();
+    };
+
+    const interval = setInterval(reportPresence, 15000);
+    const inputEvents = ['mousemove', 'keydown', 'touchstart'];
+    inputEvents.forEach(event => window.addEventListener(event, handleInput));
+    document.addEventListener('visibilitychange', reportPresence);
+    return () => {
+      clearInterval(interval);
+      inputEvents.forEach(event => window.removeEventListener(event, handleInput));
+      document.removeEventListener('visibilitychange', reportPresence);
+    };
+  }, [isAuthenticated]);
+
+  // Remove self-destructing messages at their deadline. The server also sends
+  // 'message expired', which covers clients whose clock is behind.
+  useEffect(() => {
+    if (!messages.some(msg => msg.expiresAt)) return;
+
+    const interval = setInterval(() => {
+      const tick = Date.now();
+      setNow(tick);
+      setMessages(prev => {
+        const remaining = prev.filter(msg => !msg.expiresAt || Date.parse(msg.expiresAt) > tick);
+        return remaining.length === prev.length ? prev : remaining;
+      });
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [messages]);
+
+  // Decrypt image attachments for their previews, and release the files of
+  // messages that have gone away
+  useEffect(() => {
+    const attachments = messages.filter(msg => msg.attachment).map(msg => msg.attachment);
+    attachments
+      .filter(attachment => attachment.mimeType.startsWith('image/'))
+      .forEach(attachment => {
+        fetchAttachment(attachment).catch((err) => {
+          console.error('Failed to load attachment:', err);
+          rememberAttachmentUrl(attachment.id, null);
+        });
+      });
+
+    const liveIds = new Set(attachments.map(attachment => attachment.id));
+    Object.keys(attachmentUrlsRef.current)
+      .filter(id => !liveIds.has(id))
+      .forEach(forgetAttachmentUrl);
+  }, [messages]);
+
+  // Count down an active login lockout
+  useEffect(() => {
+    if (!lockoutUntil) return;
+
+    const interval = setInterval(() => {
+      const remaining = Math.ceil((lockoutUntil - Date.now()) / 1000);
+      if (remaining > 0) {
+        setLockoutRemaining(remaining);
+      } else {
+        setLockoutUntil(0);
+        setLockoutRemaining(0);
+      }
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [lockoutUntil]);
+
   // Focus message input when authenticated
   useEffect(() => {
     if (isAuthenticated) {
@@ -51,6 +401,10 @@ function App() {
 
   const handleLogin = async (e) => {
     e.preventDefault();
+    if (!room.trim()) {
+      setError('Please enter a room name');
+      return;
+    }
     if (!passphrase.trim()) {
       setError('Please enter a passphrase');
       return;
@@ -60,19 +414,51 @@ function App() {
     setError('');
 
     try {
-      const response = await fetch(`${API_URL}/api/login`, {
+      // Derive the keys locally; only the verifier is sent to the server
+      let kdf;
+      if (isCreatingRoom) {
+        kdf = { salt: generateSalt(), iterations: KDF_ITERATIONS };
+      } else {
+        const kdfResponse = await fetch(`${API_URL}/api/rooms/${encodeURIComponent(room.trim().toLowerCase())}/kdf`);
+        ({ kdf } = await kdfResponse.json());
+      }
+
+      const { messageKey, verifier } = await deriveRoomKeys(passphrase.trim(), kdf);
+
+      const send = (proof) => fetch(`${API_URL}${isCreatingRoom ? '/api/rooms' : '/api/login'}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ passphrase: passphrase.trim() }),
+        body: JSON.stringify({
+          room: room.trim(),
+          verifier,
+          ...(isCreatingRoom && { kdf }),
+          ...(isCreatingRoom && newRoomTtl && { defaultTtlMs: newRoomTtl }),
+          ...(adminPassphrase.trim() && { adminPassphrase: adminPassphrase.trim() }),
+          ...(proof && { proof })
+        }),
       });
 
-      const data = await response.json();
+      let response = await send();
+      let data = await response.json();
+
+      // A room under a guessing attack lets us in once the browser has done
+      // the work it asks for, instead of waiting out the lockout
+      if (response.status === 429 && data.challenge) {
+        response = await send(await solveChallenge(data.challenge));
+        data = await response.json();
+      }
+
+      if (response.status === 429) {
+        const retryAfter = Number(response.headers.get('Retry-After')) || data.retryAfter || 30;
+        setLockoutUntil(Date.now() + retryAfter * 1000);
+        setLockoutRemaining(retryAfter);
+        return;
+      }
 
       if (data.status === 'success') {
-        setIsAuthenticated(true);
-        initializeSocket();
+        startSession(data, messageKey);
       } else {
         setError(data.message || 'Authentication failed');
       }
@@ -84,84 +470,830 @@ function App() {
     }
   };
 
+  // Enters the room from a successful login, room creation or invite
+  const startSession = (data, messageKey) => {
+    roomCryptoRef.current = { key: messageKey, room: data.room, repeatKey: deriveRepeatKey(messageKey) };
+    setCurrentRoom(data.room);
+    setRoom(data.room);
+    setIsCreatingRoom(false);
+    localStorage.setItem('anonymousChatRoom', data.room);
+    sessionRef.current = { token: data.token, expiresAt: data.expiresAt };
+    scheduleTokenRefresh(data.expiresAt);
+    setIsAuthenticated(true);
+    initializeSocket();
+  };
+
+  // Invite links carry a token for the server and, in the URL fragment the
+  // server never sees, the room key. The passphrase isn't needed.
+  const joinWithInvite = async (inviteToken, encodedKey) => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const messageKey = await importMessageKey(encodedKey);
+      const response = await fetch(`${API_URL}/api/invite/${encodeURIComponent(inviteToken)}`, { method: 'POST' });
+      const data = await response.json();
+
+      if (response.status === 429) {
+        const retryAfter = Number(response.headers.get('Retry-After')) || data.retryAfter || 30;
+        setLockoutUntil(Date.now() + retryAfter * 1000);
+        setLockoutRemaining(retryAfter);
+        return;
+      }
+
+      if (data.status === 'success') {
+        startSession(data, messageKey);
+      } else {
+        setError(data.message || 'This invite link is not valid');
+      }
+    } catch (err) {
+      setError('Failed to open the invite link. Please ask for a new one.');
+      console.error('Invite error:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Refresh the session token once 80% of its lifetime has passed
+  const scheduleTokenRefresh = (expiresAt) => {
+    clearTimeout(refreshTimeoutRef.current);
+    const delay = Math.max(0, (expiresAt - Date.now()) * 0.8);
+    refreshTimeoutRef.current = setTimeout(refreshSession, delay);
+  };
+
+  const refreshSession = async () => {
+    const session = sessionRef.current;
+    if (!session) return;
+
+    try {
+      const response = await fetch(`${API_URL}/api/refresh`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${session.token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (data.status === 'success') {
+        sessionRef.current = { token: data.token, expiresAt: data.expiresAt };
+        scheduleTokenRefresh(data.expiresAt);
+      } else {
+        handleSessionExpired();
+      }
+    } catch (err) {
+      console.error('Token refresh error:', err);
+      // Network hiccup: retry shortly while the current token is still valid
+      if (session.expiresAt > Date.now() + 15000) {
+        refreshTimeoutRef.current = setTimeout(refreshSession, 10000);
+      }
+    }
+  };
+
+  const handleSessionExpired = () => {
+    handleLogout();
+    setError('Your session has expired. Please enter the passphrase again.');
+  };
+
   const initializeSocket = () => {
+    setConnectionStatus('connecting');
     const newSocket = io(API_URL, {
-      transports: ['websocket', 'polling']
+      transports: ['websocket', 'polling'],
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 10000,
+      // Read the token on every (re)connect so refreshed tokens are picked up
+      auth: (cb) => cb({
+        token: sessionRef.current?.token,
+        alias: localStorage.getItem('anonymousChatAlias'),
+        lastMessageId: lastMessageIdRef.current,
+        protocol: PROTOCOL_VERSION
+      })
+    });
+
+    // The server decides our identity and may replace an invalid or taken alias
+    newSocket.on(SERVER_EVENTS.SESSION, (data) => {
+      identityRef.current = data;
+      setIdentity(data);
+      setAlias(data.alias);
+      localStorage.setItem('anonymousChatAlias', data.alias);
+    });
+
+    newSocket.on(SERVER_EVENTS.ALIAS_CHANGED, (data) => {
+      dispatchTyping({ type: 'renamed', userId: data.id, alias: data.alias });
+      setMessages(prev => [...prev, { ...data, type: 'system-alias' }]);
+    });
+
+    newSocket.on(SERVER_EVENTS.ROOM_SETTINGS, ({ defaultTtlMs, editWindowMs: windowMs, typingTtlMs, attachments }) => {
+      setRoomDefaultTtl(defaultTtlMs);
+      if (typingTtlMs) typingRefreshMsRef.current = typingTtlMs / 2;
+      setEditWindowMs(windowMs || 0);
+      setAttachmentLimits(attachments || null);
+      // A picked timer longer than the room default would be capped anyway
+      setMessageTtl(prev => (defaultTtlMs && prev >= defaultTtlMs ? 0 : prev));
+    });
+
+    newSocket.on('connect_error', (err) => {
+      const code = err.data?.code;
+      if (code?.startsWith('TOKEN_')) {
+        handleSessionExpired();
+      } else if (code === 'BANNED' || code === 'ROOM_NOT_FOUND' || code === 'PROTOCOL_UNSUPPORTED') {
+        handleLogout();
+        setError(err.message);
+      } else if (code === 'SERVER_RESTARTING') {
+        // Turned away by a draining instance, which Socket.IO doesn't retry.
+        // The jitter keeps a whole room from coming back at the same moment.
+        setServerRestarting(true);
+        setTimeout(() => {
+          if (socketRef.current === newSocket && !newSocket.connected) newSocket.connect();
+        }, 1000 + Math.random() * 2000);
+      }
+    });
+
+    // The server is going down for a deploy. Messages in flight still get their
+    // acks during the grace period, then the connection is closed and
+    // Socket.IO reconnects on its own; the outbox covers anything unacked.
+    newSocket.on(SERVER_EVENTS.SERVER_RESTARTING, () => {
+      setServerRestarting(true);
+    });
+
+    newSocket.on(SERVER_EVENTS.MODERATION, (data) => {
+      setMessages(prev => [...prev, { ...data, type: 'system-moderation' }]);
+    });
+
+    // Sent to us right before a kick or ban, or when we get muted
+    newSocket.on(SERVER_EVENTS.MODERATED, (data) => {
+      setError(describeError(data));
+    });
+
+    // Messages from the server operator, to this room or to everyone
+    newSocket.on(SERVER_EVENTS.ANNOUNCEMENT, (data) => {
+      setMessages(prev => [...prev, { ...data, type: 'system-announcement' }]);
+    });
+
+    // The server disconnects us right after this
+    newSocket.on(SERVER_EVENTS.ROOM_CLOSED, (data) => {
+      handleLogout();
+      setError(data.message);
+    });
+
+    newSocket.on(SERVER_EVENTS.MESSAGE_DELETED, ({ id, deletedBy }) => {
+      setMessages(prev => prev.map(msg => (
+        msg.type === 'message' && msg.id === id
+          ? { ...msg, deleted: true, deletedBy, message: '', ciphertext: undefined }
+          : msg
+      )));
+    });
+
+    newSocket.on(SERVER_EVENTS.MESSAGE_EDITED, (edit) => {
+      receiveQueueRef.current = receiveQueueRef.current
+        .then(() => decryptMessage(edit))
+        .then(({ message: text, decryptionFailed }) => {
+          setMessages(prev => prev.map(msg => (
+            msg.type === 'message' && msg.id === edit.id
+              ? { ...msg, ...edit, message: text, decryptionFailed }
+              : msg
+          )));
+        });
+    });
+
+    newSocket.on(SERVER_EVENTS.REACTIONS_UPDATED, ({ id, reactions }) => {
+      setMessages(prev => prev.map(msg => (
+        msg.type === 'message' && msg.id === id ? { ...msg, reactions } : msg
+      )));
+    });
+
+    newSocket.on(SERVER_EVENTS.DIRECT_MESSAGE, (messageData) => {
+      removeFromOutbox(messageData.nonce);
+      const isOwn = messageData.senderId === identityRef.current?.id;
+      const peerId = isOwn ? messageData.recipientId : messageData.senderId;
+      receiveQueueRef.current = receiveQueueRef.current
+        .then(() => decryptMessage(messageData, directContext(peerId)))
+        .then((decrypted) => {
+          setMessages(prev => mergeMessages(prev, [{ ...decrypted, type: 'direct', peerId }]));
+          if (isOwn) return;
+
+          addThread({
+            id: peerId,
+            alias: messageData.alias,
+            color: messageData.color,
+            fingerprint: messageData.fingerprint
+          });
+          noteUnread(decrypted, { direct: true });
+          if (activeThreadRef.current !== peerId) {
+            setUnreadDirect(prev => ({ ...prev, [peerId]: (prev[peerId] || 0) + 1 }));
+          }
+        });
+    });
+
+    newSocket.on(SERVER_EVENTS.MESSAGE_EXPIRED, ({ id }) => {
+      setMessages(prev => prev.filter(msg => !(msg.type === 'message' && msg.id === id)));
     });
 
     newSocket.on('connect', () => {
       console.log('Connected to server with ID:', newSocket.id);
+      presenceRef.current = 'active';
+      setConnectionStatus('online');
+      setServerRestarting(false);
       setError('');
+      flushOutbox(newSocket);
+    });
+
+    newSocket.io.on('reconnect_attempt', () => {
+      setConnectionStatus(navigator.onLine ? 'reconnecting' : 'offline');
+    });
+
+    newSocket.on(SERVER_EVENTS.CHAT_MESSAGE, (messageData) => {
+      removeFromOutbox(messageData.nonce);
+      receiveQueueRef.current = receiveQueueRef.current
+        .then(() => decryptMessage(messageData))
+        .then((decrypted) => {
+          setMessages(prev => mergeMessages(prev, [{ ...decrypted, type: 'message' }]));
+          noteUnread(decrypted);
+        });
     });
 
-    newSocket.on('chat message', (messageData) => {
-      setMessages(prev => [...prev, { ...messageData, type: 'message' }]);
+    newSocket.on(SERVER_EVENTS.HISTORY, ({ messages: backlog }) => {
+      backlog.forEach(messageData => removeFromOutbox(messageData.nonce));
+      receiveQueueRef.current = receiveQueueRef.current
+        .then(() => Promise.all(backlog.map(decryptMessage)))
+        .then((decrypted) => {
+          const entries = decrypted.map(messageData => ({ ...messageData, type: 'message' }));
+          setMessages(prev => mergeMessages(prev, entries));
+        });
     });
 
-    newSocket.on('user joined', (data) => {
+    newSocket.on(SERVER_EVENTS.USER_JOINED, (data) => {
       setMessages(prev => [...prev, { ...data, type: 'system-join' }]);
-      setOnlineUsers(prev => prev + 1);
     });
 
-    newSocket.on('user left', (data) => {
+    newSocket.on(SERVER_EVENTS.USER_LEFT, (data) => {
       setMessages(prev => [...prev, { ...data, type: 'system-left' }]);
-      setOnlineUsers(prev => Math.max(0, prev - 1));
     });
 
-    newSocket.on('user count', (count) => {
-      setOnlineUsers(count);
+    // Full roster on (re)connect, then incremental presence updates
+    newSocket.on(SERVER_EVENTS.ROSTER, ({ participants: roster }) => {
+      setParticipants(roster);
     });
 
-    newSocket.on('user typing', (data) => {
-      if (data.clientId !== clientId) {
-        const newTypingUsers = new Set(typingUsers);
-        if (data.isTyping) {
-          newTypingUsers.add(data.alias);
-        } else {
-          newTypingUsers.delete(data.alias);
+    newSocket.on(SERVER_EVENTS.PRESENCE, (update) => {
+      setParticipants(prev => {
+        if (update.type === 'leave') {
+          return prev.filter(participant => participant.id !== update.id);
         }
-        setTypingUsers(newTypingUsers);
-      }
+        const others = prev.filter(participant => participant.id !== update.participant.id);
+        return [...others, update.participant];
+      });
+    });
+
+    // Everyone typing when we (re)join, then changes as they happen
+    newSocket.on(SERVER_EVENTS.TYPING_STATE, ({ typers }) => {
+      dispatchTyping({ type: 'snapshot', typers });
+    });
+
+    newSocket.on(SERVER_EVENTS.USER_TYPING, ({ isTyping, alias, userId }) => {
+      // Our own other tabs
+      if (userId === identityRef.current?.id) return;
+      dispatchTyping({ type: 'typing', userId, alias, isTyping });
     });
 
-    newSocket.on('error', (errorData) => {
-      setError(errorData.message || 'An error occurred');
+    newSocket.on(SERVER_EVENTS.ERROR, (errorData) => {
+      setError(describeError(errorData));
     });
 
     newSocket.on('disconnect', (reason) => {
-      setError('Disconnected from server. Please refresh the page.');
       console.log('Disconnected:', reason);
+      // The server dropped our typing state with the connection, and
+      // reconnecting brings a fresh snapshot of everyone else's
+      typingSentAtRef.current = 0;
+      dispatchTyping({ type: 'reset' });
+      if (reason === 'io client disconnect') return;
+
+      if (reason === 'io server disconnect') {
+        // Closed on purpose by the server, Socket.IO will not retry this one
+        setConnectionStatus('offline');
+        setError(prev => prev || 'Disconnected by the server.');
+        return;
+      }
+      setConnectionStatus(navigator.onLine ? 'reconnecting' : 'offline');
     });
 
+    socketRef.current = newSocket;
     setSocket(newSocket);
   };
 
-  const handleSendMessage = (e) => {
-    e.preventDefault();
-    if (!message.trim() || !socket) return;
+  // Server errors carry a `code` and, for rate limits and mutes, `retryAfter` seconds
+  const describeError = (errorData) => {
+    const text = errorData.message || 'An error occurred';
+    return errorData.retryAfter ? `${text}. Try again in ${errorData.retryAfter}s.` : text;
+  };
 
-    const messageToSend = {
-      message: message.trim(),
-      alias: alias || 'Anonymous',
-      clientId: clientId
-    };
+  // Appends chat messages we don't have yet, keeping the list in time order.
+  // Server copies of our own queued messages replace their local placeholders.
+  const mergeMessages = (existing, incoming) => {
+    const knownIds = new Set(existing
+      .filter(msg => msg.type === 'message' || msg.type === 'direct')
+      .map(msg => msg.id));
+    const fresh = incoming.filter(msg => !knownIds.has(msg.id));
+    if (fresh.length === 0) return existing;
+
+    const confirmedNonces = new Set(fresh.map(msg => msg.nonce).filter(Boolean));
+    const kept = existing.filter(msg => !(msg.local && confirmedNonces.has(msg.nonce)));
+
+    const merged = [...kept, ...fresh].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const lastConfirmed = merged.filter(msg => msg.type === 'message' && !msg.local).pop();
+    if (lastConfirmed) {
+      lastMessageIdRef.current = lastConfirmed.id;
+    }
+    return merged;
+  };
+
+  const removeFromOutbox = (nonce) => {
+    if (!nonce) return;
+    outboxRef.current = outboxRef.current.filter(item => item.nonce !== nonce);
+  };
+
+  const updateOutgoingMessage = (nonce, changes) => {
+    setMessages(prev => prev.map(msg => (msg.nonce === nonce ? { ...msg, ...changes } : msg)));
+  };
+
+  // Sends one outbox entry and waits for the server's ack. Without an ack the
+  // entry stays queued and is resent; the nonce keeps the server from posting it twice.
+  const deliverMessage = (activeSocket, item) => {
+    activeSocket.timeout(ACK_TIMEOUT_MS).emit(item.event || CLIENT_EVENTS.CHAT_MESSAGE, item.payload, (err, response) => {
+      if (err) {
+        if (activeSocket.connected && outboxRef.current.includes(item)) {
+          deliverMessage(activeSocket, item);
+        }
+        return;
+      }
+
+      removeFromOutbox(item.nonce);
+      if (response.status === 'ok') {
+        updateOutgoingMessage(item.nonce, { status: 'sent' });
+      } else {
+        updateOutgoingMessage(item.nonce, { status: 'failed', failureReason: describeError(response) });
+        if (response.retryAfter) {
+          setError(describeError(response));
+        }
+      }
+    });
+  };
+
+  const flushOutbox = (activeSocket) => {
+    outboxRef.current.forEach(item => deliverMessage(activeSocket, item));
+  };
+
+  // Direct messages use the room key but are bound to the pair of participants,
+  // so one can't be replayed into the room or into another thread
+  const directContext = (peerId) => {
+    const ids = [identityRef.current?.id, peerId].sort().join(':');
+    return `${roomCryptoRef.current?.room}/dm/${ids}`;
+  };
+
+  // Adds the plaintext `message`, or flags the message if it can't be decrypted.
+  // `context` is the associated data the message was encrypted with.
+  const decryptMessage = async (messageData, context) => {
+    const { key, room: messageRoom } = roomCryptoRef.current || {};
+    try {
+      const { text, fileName } = await decryptPayload(key, context || messageRoom, messageData);
+      return {
+        ...messageData,
+        message: text,
+        ...(typeof fileName === 'string' && { fileName: fileName.slice(0, 255) })
+      };
+    } catch (err) {
+      console.error('Failed to decrypt message:', err);
+      return { ...messageData, message: '', decryptionFailed: true };
+    }
+  };
+
+  const handleSendMessage = async (e) => {
+    e.preventDefault();
+    const text = message.trim();
+    if (!text || !identity || !roomCryptoRef.current) return;
 
-    socket.emit('chat message', messageToSend);
     setMessage('');
     handleStopTyping();
+    setShowJumpToUnread(false);
     messageInputRef.current?.focus();
+
+    const { key, room: messageRoom } = roomCryptoRef.current;
+
+    // Edits are re-encrypted and only applied once the server broadcasts them
+    if (editingMessage) {
+      const target = editingMessage;
+      setEditingMessage(null);
+      if (text !== target.message) {
+        const encrypted = await encryptPayload(key, messageRoom, {
+          text,
+          ...(target.fileName && { fileName: target.fileName })
+        });
+        emitWithResult(CLIENT_EVENTS.EDIT_MESSAGE, { messageId: target.id, ...encrypted });
+      }
+      return;
+    }
+
+    if (activeThread) {
+      await postDirectMessage(activeThread, text);
+      return;
+    }
+
+    await postMessage({ text });
   };
 
-  const handleTyping = () => {
-    if (!socket) return;
-
-    if (!isTyping) {
-      setIsTyping(true);
-      socket.emit('typing', { 
-        isTyping: true, 
-        alias: alias || 'Anonymous',
-        clientId: clientId 
+  // Lets the server notice the same text sent again and again, see repeatTag()
+  const repeatTagFor = async (text) =>
+    repeatTag(await roomCryptoRef.current.repeatKey, identity.id, text);
+
+  // Direct messages go through the outbox like room messages, but are shown
+  // only in their thread
+  const postDirectMessage = async (peerId, text) => {
+    const nonce = crypto.randomUUID();
+    const payload = {
+      ...(await encryptPayload(roomCryptoRef.current.key, directContext(peerId), { text })),
+      targetId: peerId,
+      nonce,
+      repeatTag: await repeatTagFor(text)
+    };
+
+    setMessages(prev => [...prev, {
+      id: `local-${nonce}`,
+      nonce,
+      payload,
+      local: true,
+      status: 'pending',
+      type: 'direct',
+      peerId,
+      message: text,
+      senderId: identity.id,
+      alias: identity.alias,
+      color: identity.color,
+      fingerprint: identity.fingerprint,
+      timestamp: new Date().toISOString()
+    }]);
+
+    queueMessage({ nonce, payload, event: CLIENT_EVENTS.DIRECT_MESSAGE });
+  };
+
+  // Encrypts and queues a new message, optionally carrying an uploaded attachment
+  const postMessage = async ({ text, fileName, attachment }) => {
+    const { key, room: messageRoom } = roomCryptoRef.current;
+    const replyTo = replyingTo?.id;
+    setReplyingTo(null);
+
+    const nonce = crypto.randomUUID();
+    const payload = {
+      ...(await encryptPayload(key, messageRoom, { text, ...(fileName && { fileName }) })),
+      nonce,
+      ...(text && { repeatTag: await repeatTagFor(text) }),
+      ...(messageTtl && { ttl: messageTtl }),
+      ...(replyTo && { replyTo }),
+      ...(attachment && { attachmentId: attachment.id })
+    };
+
+    // Show it straight away; it is confirmed once the server acks or echoes it back
+    setMessages(prev => [...prev, {
+      id: `local-${nonce}`,
+      nonce,
+      payload,
+      local: true,
+      status: 'pending',
+      type: 'message',
+      message: text,
+      fileName,
+      attachment,
+      replyTo,
+      reactions: [],
+      senderId: identity.id,
+      alias: identity.alias,
+      color: identity.color,
+      fingerprint: identity.fingerprint,
+      timestamp: new Date().toISOString()
+    }]);
+
+    queueMessage({ nonce, payload });
+  };
+
+  // Resolves with the server's response, or throws its error
+  const request = async (activeSocket, event, payload) => {
+    const response = await activeSocket.timeout(ACK_TIMEOUT_MS).emitWithAck(event, payload);
+    if (response.status !== 'ok') {
+      throw new Error(describeError(response));
+    }
+    return response;
+  };
+
+  // Attachments are encrypted as a whole and uploaded in binary chunks. They
+  // skip the outbox: an upload needs a live connection from start to end.
+  const handleAttachFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !identity || !roomCryptoRef.current || !attachmentLimits) return;
+
+    const activeSocket = socketRef.current;
+    if (!attachmentLimits.types.includes(file.type)) {
+      setError('That file type is not allowed');
+      return;
+    }
+    // AES-GCM adds a 16 byte tag to the encrypted size the server checks
+    if (file.size + 16 > attachmentLimits.maxBytes) {
+      setError(`Files can be at most ${formatBytes(attachmentLimits.maxBytes)}`);
+      return;
+    }
+    if (!activeSocket?.connected) {
+      setError('Attachments can only be sent while connected.');
+      return;
+    }
+
+    setUpload({ name: file.name, progress: 0 });
+    try {
+      const { key, room: messageRoom } = roomCryptoRef.current;
+      const { data, iv } = await encryptBytes(key, messageRoom, await file.arrayBuffer());
+      const { chunkBytes } = attachmentLimits;
+
+      const { id } = await request(activeSocket, CLIENT_EVENTS.ATTACHMENT_START, {
+        mimeType: file.type,
+        size: data.byteLength,
+        iv
+      });
+      for (let offset = 0, index = 0; offset < data.byteLength; offset += chunkBytes, index++) {
+        await request(activeSocket, CLIENT_EVENTS.ATTACHMENT_CHUNK, {
+          uploadId: id,
+          index,
+          data: data.slice(offset, offset + chunkBytes)
+        });
+        setUpload({ name: file.name, progress: Math.min(1, (offset + chunkBytes) / data.byteLength) });
+      }
+      await request(activeSocket, CLIENT_EVENTS.ATTACHMENT_END, { uploadId: id });
+
+      await postMessage({
+        text: '',
+        fileName: file.name,
+        attachment: { id, mimeType: file.type, size: data.byteLength, iv }
       });
+      // We already have the plaintext, no need to download our own file
+      if (!(id in attachmentUrlsRef.current)) {
+        rememberAttachmentUrl(id, URL.createObjectURL(file));
+      }
+    } catch (err) {
+      console.error('Attachment upload failed:', err);
+      setError(err.message || 'Failed to upload the attachment');
+    } finally {
+      setUpload(null);
+    }
+  };
+
+  const rememberAttachmentUrl = (id, url) => {
+    attachmentUrlsRef.current = { ...attachmentUrlsRef.current, [id]: url };
+    setAttachmentUrls(attachmentUrlsRef.current);
+  };
+
+  const forgetAttachmentUrl = (id) => {
+    const { [id]: url, ...rest } = attachmentUrlsRef.current;
+    if (url) URL.revokeObjectURL(url);
+    attachmentUrlsRef.current = rest;
+    setAttachmentUrls(rest);
+  };
+
+  // Downloads and decrypts an attachment once, resolving to an object URL
+  const fetchAttachment = async (attachment) => {
+    if (attachment.id in attachmentUrlsRef.current) {
+      return attachmentUrlsRef.current[attachment.id];
+    }
+    if (attachmentFetchesRef.current.has(attachment.id) || !socketRef.current) return null;
+
+    attachmentFetchesRef.current.add(attachment.id);
+    try {
+      const { data } = await request(socketRef.current, CLIENT_EVENTS.ATTACHMENT_FETCH, { id: attachment.id });
+      const { key, room: messageRoom } = roomCryptoRef.current;
+      const plaintext = await decryptBytes(key, messageRoom, { data, iv: attachment.iv });
+      const url = URL.createObjectURL(new Blob([plaintext], { type: attachment.mimeType }));
+      rememberAttachmentUrl(attachment.id, url);
+      return url;
+    } finally {
+      attachmentFetchesRef.current.delete(attachment.id);
+    }
+  };
+
+  const handleDownloadAttachment = async (msg) => {
+    try {
+      const url = await fetchAttachment(msg.attachment);
+      if (!url) return;
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = msg.fileName || 'attachment';
+      link.click();
+    } catch (err) {
+      setError(err.message || 'Failed to download the attachment');
+    }
+  };
+
+  const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  };
+
+  const queueMessage = (item) => {
+    outboxRef.current = [...outboxRef.current, item];
+    if (socketRef.current?.connected) {
+      deliverMessage(socketRef.current, item);
+    }
+  };
+
+  const handleRetryMessage = (msg) => {
+    updateOutgoingMessage(msg.nonce, { status: 'pending', failureReason: undefined });
+    queueMessage({
+      nonce: msg.nonce,
+      payload: msg.payload,
+      ...(msg.type === 'direct' && { event: CLIENT_EVENTS.DIRECT_MESSAGE })
+    });
+  };
+
+  const addThread = (peer) => {
+    setDirectThreads(prev => (prev.some(thread => thread.id === peer.id) ? prev : [...prev, peer]));
+  };
+
+  // null shows the room
+  const showThread = (peerId) => {
+    activeThreadRef.current = peerId;
+    setActiveThread(peerId);
+    setReplyingTo(null);
+    setEditingMessage(null);
+    if (peerId) {
+      setUnreadDirect(prev => ({ ...prev, [peerId]: 0 }));
+    }
+  };
+
+  const handleOpenThread = (peer) => {
+    setContextMenu(null);
+    addThread({ id: peer.id, alias: peer.alias, color: peer.color, fingerprint: peer.fingerprint });
+    showThread(peer.id);
+    messageInputRef.current?.focus();
+  };
+
+  const handleCloseThread = (peerId) => {
+    setDirectThreads(prev => prev.filter(thread => thread.id !== peerId));
+    setMessages(prev => prev.filter(msg => !(msg.type === 'direct' && msg.peerId === peerId)));
+    if (activeThread === peerId) showThread(null);
+  };
+
+  const isMentioned = (msg) =>
+    msg.senderId !== identityRef.current?.id && mentionsAlias(msg.message, identityRef.current?.alias);
+
+  // Notifications leave the message text out, it would end up in the OS
+  // notification history in plaintext
+  const showNotification = (title, tag) => {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+    const notification = new Notification(title, {
+      body: `In ${roomCryptoRef.current?.room || 'the chat'}`,
+      tag
+    });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  };
+
+  // Counts messages from others while the tab is hidden and raises whichever
+  // alerts are switched on. Unless asked to, notifications don't say who wrote.
+  const noteUnread = (msg, { direct = false } = {}) => {
+    if (!document.hidden || msg.senderId === identityRef.current?.id) return;
+
+    unreadCountRef.current += 1;
+    setUnreadCount(unreadCountRef.current);
+    if (!direct) setFirstUnreadId(prev => prev || msg.id);
+
+    const preferences = alertPreferencesRef.current;
+    if (preferences.sound) playChime();
+    if (preferences.mentions && isMentioned(msg)) {
+      const title = preferences.showSender ? `${msg.alias} mentioned you` : 'You were mentioned';
+      showNotification(title, `mention-${msg.id}`);
+    } else if (preferences.messages) {
+      const count = unreadCountRef.current;
+      let title = count === 1 ? 'New message' : `${count} new messages`;
+      if (preferences.showSender) title = `New ${direct ? 'direct ' : ''}message from ${msg.alias}`;
+      // One notification per room, replaced as more messages come in
+      showNotification(title, `unread-${roomCryptoRef.current?.room}`);
+    }
+  };
+
+  const handleToggleAlertPreference = async (name) => {
+    let enabled = !alertPreferences[name];
+    const needsPermission = name === 'mentions' || name === 'messages';
+    if (enabled && needsPermission && 'Notification' in window && Notification.permission !== 'granted') {
+      enabled = (await Notification.requestPermission()) === 'granted';
+      if (!enabled) setError('Notifications are blocked in your browser settings.');
+    }
+    const next = { ...alertPreferencesRef.current, [name]: enabled };
+    alertPreferencesRef.current = next;
+    setAlertPreferences(next);
+    localStorage.setItem(ALERT_PREFERENCES[name], String(enabled));
+  };
+
+  const handleJumpToUnread = () => {
+    unreadDividerRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setShowJumpToUnread(false);
+  };
+
+  const openContextMenu = (e, msg) => {
+    if (identity?.role !== 'owner' || msg.type !== 'message' || msg.local || msg.deleted) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setContextMenu({
+      x: e.clientX,
+      y: e.clientY,
+      target: { id: msg.senderId, alias: msg.alias },
+      message: msg
+    });
+  };
+
+  // Owners get the moderation menu, which also offers a direct message;
+  // everyone else goes straight to the thread
+  const openParticipantMenu = (e, participant) => {
+    if (participant.id === identity?.id) return;
+    if (identity?.role !== 'owner') {
+      if (e.type === 'click') handleOpenThread(participant);
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    setContextMenu({ x: e.clientX, y: e.clientY, target: participant });
+  };
+
+  // Emits an acknowledged event and surfaces a refusal as an error
+  const emitWithResult = (event, payload) => {
+    socketRef.current?.emit(event, payload, (response) => {
+      if (response?.status === 'error') {
+        setError(describeError(response));
+      }
+    });
+  };
+
+  const handleModeration = (event, payload) => {
+    setContextMenu(null);
+    emitWithResult(event, payload);
+  };
+
+  // Authors may edit or delete while the server's edit window is open
+  const canChangeMessage = (msg) =>
+    msg.type === 'message' && msg.senderId === identity?.id && !msg.local && !msg.deleted &&
+    Date.now() - Date.parse(msg.timestamp) < editWindowMs;
+
+  const handleReply = (msg) => {
+    if (editingMessage) setMessage('');
+    setEditingMessage(null);
+    setReplyingTo(msg);
+    messageInputRef.current?.focus();
+  };
+
+  const handleEdit = (msg) => {
+    setReplyingTo(null);
+    setEditingMessage(msg);
+    setMessage(msg.message);
+    messageInputRef.current?.focus();
+  };
+
+  const handleCancelCompose = () => {
+    if (editingMessage) setMessage('');
+    setReplyingTo(null);
+    setEditingMessage(null);
+  };
+
+  const handleDeleteOwn = (msg) => {
+    if (editingMessage?.id === msg.id) handleCancelCompose();
+    emitWithResult(CLIENT_EVENTS.DELETE_MESSAGE, { messageId: msg.id });
+  };
+
+  const handleReact = (msg, emoji) => {
+    setReactionPickerFor(null);
+    emitWithResult(CLIENT_EVENTS.REACT, { messageId: msg.id, emoji });
+  };
+
+  const messageSummary = (msg) =>
+    msg.message || (msg.fileName ? `📎 ${msg.fileName}` : '');
+
+  const snippet = (text, length = 80) =>
+    text.length > length ? `${text.slice(0, length)}…` : text;
+
+  // The quoted line above a reply, from our own decrypted copy of the original
+  const getReplyPreview = (replyTo) => {
+    const original = messages.find(msg => msg.type === 'message' && msg.id === replyTo);
+    if (!original) return { text: 'Original message is no longer available' };
+    if (original.deleted) return { alias: original.alias, text: 'Message deleted' };
+    if (original.decryptionFailed) return { alias: original.alias, text: 'Unable to decrypt' };
+    return { alias: original.alias, text: snippet(messageSummary(original)) };
+  };
+
+  const handleTyping = () => {
+    // Typing indicators are room-wide, so they would give a direct message away
+    if (!socket || activeThread) return;
+
+    // Refreshed while the keystrokes keep coming, before the server expires us
+    if (Date.now() - typingSentAtRef.current >= typingRefreshMsRef.current) {
+      typingSentAtRef.current = Date.now();
+      socket.emit(CLIENT_EVENTS.TYPING, { isTyping: true });
     }
 
     // Clear existing timeout
@@ -176,30 +1308,105 @@ function App() {
   };
 
   const handleStopTyping = () => {
-    if (!socket || !isTyping) return;
+    if (!socket || !typingSentAtRef.current) return;
 
-    setIsTyping(false);
-    socket.emit('typing', { 
-      isTyping: false, 
-      alias: alias || 'Anonymous',
-      clientId: clientId 
-    });
+    typingSentAtRef.current = 0;
+    socket.emit(CLIENT_EVENTS.TYPING, { isTyping: false });
 
     if (typingTimeoutRef.current) {
       clearTimeout(typingTimeoutRef.current);
     }
   };
 
+  // Owner requests for this room's invites, authenticated with our session
+  const inviteRequest = async (path = '', options = {}) => {
+    const response = await fetch(`${API_URL}/api/rooms/${encodeURIComponent(currentRoom)}/invites${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${sessionRef.current?.token}`,
+      },
+    });
+    return response.json();
+  };
+
+  const loadInvites = async () => {
+    try {
+      const data = await inviteRequest();
+      if (data.status === 'success') setInvites(data.invites);
+    } catch (err) {
+      console.error('Invite list error:', err);
+    }
+  };
+
+  // The session's key can't be exported, so the link gets a copy derived
+  // again from the passphrase, which the owner types in for each link
+  const handleCreateInvite = async () => {
+    if (!invitePassphrase.trim()) {
+      setError('Enter the room passphrase to create an invite link');
+      return;
+    }
+
+    try {
+      const kdfResponse = await fetch(`${API_URL}/api/rooms/${encodeURIComponent(currentRoom)}/kdf`);
+      const { kdf } = await kdfResponse.json();
+      let key;
+      try {
+        key = await exportRoomKey(invitePassphrase.trim(), kdf, roomCryptoRef.current.key);
+      } catch {
+        setError('That is not the passphrase of this room');
+        return;
+      }
+
+      const data = await inviteRequest('', {
+        method: 'POST',
+        body: JSON.stringify({ expiresInMs: inviteExpiry, maxUses: inviteMaxUses })
+      });
+      if (data.status !== 'success') {
+        setError(data.message || 'Failed to create the invite');
+        return;
+      }
+      setInvitePassphrase('');
+      setNewInviteLink(`${window.location.origin}${window.location.pathname}#invite=${data.token}&key=${key}`);
+      setInvites(prev => [...prev, data.invite]);
+    } catch (err) {
+      setError('Failed to create the invite');
+      console.error('Invite error:', err);
+    }
+  };
+
+  const handleRevokeInvite = async (id) => {
+    try {
+      const data = await inviteRequest(`/${id}/revoke`, { method: 'POST' });
+      if (data.status !== 'success' && data.code !== 'INVITE_NOT_FOUND') {
+        setError(data.message || 'Failed to revoke the invite');
+        return;
+      }
+      setInvites(prev => prev.filter(invite => invite.id !== id));
+    } catch (err) {
+      setError('Failed to revoke the invite');
+      console.error('Invite error:', err);
+    }
+  };
+
+  const handleCopyInvite = () => {
+    navigator.clipboard?.writeText(newInviteLink).catch(() => {});
+  };
+
   const handleAliasUpdate = (newAlias) => {
-    const finalAlias = newAlias.trim() || `User${Math.floor(1000 + Math.random() * 9000)}`;
-    setAlias(finalAlias);
-    localStorage.setItem('anonymousChatAlias', finalAlias);
-    
-    if (socket) {
-      socket.emit('update alias', { alias: finalAlias });
+    const finalAlias = newAlias.trim();
+    if (!finalAlias || !socket) {
+      setAlias(identity?.alias || '');
+      return;
     }
+
+    // Saved once the server confirms it through the 'session' event
+    socket.emit(CLIENT_EVENTS.UPDATE_ALIAS, { alias: finalAlias });
   };
 
+  const formatInviteExpiry = (timestamp) =>
+    new Date(timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
   const formatMessageTime = (timestamp) => {
     const now = new Date();
     const messageTime = new Date(timestamp);
@@ -221,19 +1428,65 @@ function App() {
   };
 
   const handleLogout = () => {
-    if (socket) {
-      socket.disconnect();
+    if (socketRef.current) {
+      socketRef.current.disconnect();
+      socketRef.current = null;
     }
+    clearTimeout(refreshTimeoutRef.current);
+    sessionRef.current = null;
+    identityRef.current = null;
+    roomCryptoRef.current = null;
+    lastMessageIdRef.current = null;
+    outboxRef.current = [];
     setIsAuthenticated(false);
+    setServerRestarting(false);
     setMessages([]);
+    Object.keys(attachmentUrlsRef.current).forEach(forgetAttachmentUrl);
+    setRoomDefaultTtl(null);
+    setMessageTtl(0);
+    setReplyingTo(null);
+    setEditingMessage(null);
+    setReactionPickerFor(null);
+    setDirectThreads([]);
+    setUnreadDirect({});
+    showThread(null);
     setPassphrase('');
+    setAdminPassphrase('');
     setError('');
-    setOnlineUsers(0);
-    setTypingUsers(new Set());
+    setParticipants([]);
+    typingSentAtRef.current = 0;
+    dispatchTyping({ type: 'reset' });
+    setInvites([]);
+    unreadCountRef.current = 0;
+    setUnreadCount(0);
+    setFirstUnreadId(null);
+    setShowJumpToUnread(false);
+    setShowAlertMenu(false);
+    setNewInviteLink('');
+    setIdentity(null);
+    setContextMenu(null);
+  };
+
+  const formatCountdown = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+  };
+
+  // Compact time left on a self-destructing message, e.g. 42s, 3:05, 1h 20m
+  const formatTimeLeft = (ms) => {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 60 * 60) return formatCountdown(seconds);
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  };
+
+  const ttlLabel = (ms) => {
+    const option = [...MESSAGE_TTL_OPTIONS, ...ROOM_TTL_OPTIONS].find(opt => opt.ms === ms);
+    return option ? option.label.replace('After ', '') : formatTimeLeft(ms);
   };
 
   const getTypingText = () => {
-    const users = Array.from(typingUsers);
+    const users = Object.values(typingUsers);
     if (users.length === 0) return null;
     if (users.length === 1) return `${users[0]} is typing...`;
     if (users.length === 2) return `${users[0]} and ${users[1]} are typing...`;
@@ -252,9 +1505,28 @@ function App() {
           </div>
 
           <form onSubmit={handleLogin}>
+            <div className="form-group">
+              <label htmlFor="room" className="form-label">
+                Room Name
+              </label>
+              <div className="input-with-icon">
+                <input
+                  id="room"
+                  type="text"
+                  value={room}
+                  onChange={(e) => setRoom(e.target.value)}
+                  placeholder="e.g. lobby"
+                  className="form-input"
+                  maxLength={32}
+                  disabled={isLoading}
+                />
+                <span className="input-icon">🚪</span>
+              </div>
+            </div>
+
             <div className="form-group">
               <label htmlFor="passphrase" className="form-label">
-                Room Passphrase
+                {isCreatingRoom ? 'New Room Passphrase' : 'Room Passphrase'}
               </label>
               <div className="input-with-icon">
                 <input
@@ -270,7 +1542,48 @@ function App() {
               </div>
             </div>
 
-            {error && (
+            <div className="form-group">
+              <label htmlFor="adminPassphrase" className="form-label">
+                Admin Passphrase <span className="form-label-hint">(optional)</span>
+              </label>
+              <div className="input-with-icon">
+                <input
+                  id="adminPassphrase"
+                  type="password"
+                  value={adminPassphrase}
+                  onChange={(e) => setAdminPassphrase(e.target.value)}
+                  placeholder={isCreatingRoom ? 'Lets others moderate with you' : 'Join as a room owner'}
+                  className="form-input"
+                  disabled={isLoading}
+                />
+                <span className="input-icon">🛡️</span>
+              </div>
+            </div>
+
+            {isCreatingRoom && (
+              <div className="form-group">
+                <label htmlFor="newRoomTtl" className="form-label">
+                  Messages Disappear
+                </label>
+                <select
+                  id="newRoomTtl"
+                  value={newRoomTtl}
+                  onChange={(e) => setNewRoomTtl(Number(e.target.value))}
+                  className="form-input"
+                  disabled={isLoading}
+                >
+                  {ROOM_TTL_OPTIONS.map(option => (
+                    <option key={option.ms} value={option.ms}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {lockoutRemaining > 0 ? (
+              <div className="error-message">
+                Too many failed attempts. Try again in {formatCountdown(lockoutRemaining)}.
+              </div>
+            ) : error && (
               <div className="error-message">
                 {error}
               </div>
@@ -278,7 +1591,7 @@ function App() {
 
             <button
               type="submit"
-              disabled={isLoading || !passphrase.trim()}
+              disabled={isLoading || lockoutRemaining > 0 || !room.trim() || !passphrase.trim()}
               className="btn btn-primary"
             >
               {isLoading ? (
@@ -286,6 +1599,11 @@ function App() {
                   <div className="loading-spinner"></div>
                   Connecting...
                 </>
+              ) : isCreatingRoom ? (
+                <>
+                  <span>✨</span>
+                  Create Room
+                </>
               ) : (
                 <>
                   <span>🚀</span>
@@ -293,6 +1611,18 @@ function App() {
                 </>
               )}
             </button>
+
+            <button
+              type="button"
+              onClick={() => {
+                setIsCreatingRoom(!isCreatingRoom);
+                setError('');
+              }}
+              className="btn-link"
+              disabled={isLoading}
+            >
+              {isCreatingRoom ? 'Join an existing room instead' : 'Create a new room'}
+            </button>
           </form>
 
           <div className="login-footer">
@@ -303,6 +1633,53 @@ function App() {
     );
   }
 
+  const participantAliases = participants.map(participant => participant.alias);
+
+  // The room shows everything but direct messages; a thread only its own
+  const visibleMessages = activeThread
+    ? messages.filter(msg => msg.type === 'direct' && msg.peerId === activeThread)
+    : messages.filter(msg => msg.type !== 'direct');
+  const activePeer = activeThread && (
+    participants.find(participant => participant.id === activeThread) ||
+    directThreads.find(thread => thread.id === activeThread)
+  );
+  const isPeerOnline = (peerId) => participants.some(participant => participant.id === peerId);
+
+  // Inline preview for images, a download button for everything else
+  const renderAttachment = (msg) => {
+    const { attachment } = msg;
+    const url = attachmentUrls[attachment.id];
+    const name = msg.fileName || 'attachment';
+
+    if (attachment.mimeType.startsWith('image/')) {
+      if (url) {
+        return <img src={url} alt={name} className="attachment-image" />;
+      }
+      return (
+        <div className="attachment-file">
+          {url === null ? '🖼️ Image is no longer available' : '🖼️ Loading image...'}
+        </div>
+      );
+    }
+
+    return (
+      <div className="attachment-file">
+        <span className="attachment-icon">📄</span>
+        <span className="attachment-name" title={name}>{name}</span>
+        <span className="attachment-size">{formatBytes(attachment.size)}</span>
+        {!msg.local && url !== null && (
+          <button
+            type="button"
+            className="btn-icon"
+            onClick={() => handleDownloadAttachment(msg)}
+          >
+            ⬇️ Download
+          </button>
+        )}
+      </div>
+    );
+  };
+
   // Chat View
   return (
     <div className="chat-app">
@@ -313,9 +1690,13 @@ function App() {
             <div>
               <h1 className="header-title">Anonymous Chat</h1>
               <div className="header-subtitle">
-                <span className="status-indicator">
+                <span className="room-name">🚪 {currentRoom}</span>
+                {identity?.role === 'owner' && <span>🛡️ Owner</span>}
+                <span className={`status-indicator status-${connectionStatus}`}>
                   <div className="status-dot"></div>
-                  {onlineUsers} online
+                  {connectionStatus === 'online'
+                    ? `${participants.length} online`
+                    : CONNECTION_LABELS[connectionStatus]}
                 </span>
                 <span>🔒 Secure</span>
                 <span>🎭 Anonymous</span>
@@ -335,8 +1716,73 @@ function App() {
                 placeholder="Your alias"
                 maxLength={20}
               />
+              {identity && (
+                <span className="sender-fingerprint" title="Your identity fingerprint">
+                  #{identity.fingerprint}
+                </span>
+              )}
             </div>
             
+            <div className="alert-menu-container" onClick={(e) => e.stopPropagation()}>
+              <button
+                type="button"
+                onClick={() => setShowAlertMenu(!showAlertMenu)}
+                className={`btn-icon ${showAlertMenu ? 'active' : ''}`}
+                title="Alerts for background tabs"
+              >
+                {Object.values(alertPreferences).some(Boolean) ? '🔔' : '🔕'}
+              </button>
+              {showAlertMenu && (
+                <div className="alert-menu glass">
+                  {'Notification' in window && (
+                    <>
+                      <label className="alert-option">
+                        <input
+                          type="checkbox"
+                          checked={alertPreferences.mentions}
+                          onChange={() => handleToggleAlertPreference('mentions')}
+                        />
+                        Notify me when I'm mentioned
+                      </label>
+                      <label className="alert-option">
+                        <input
+                          type="checkbox"
+                          checked={alertPreferences.messages}
+                          onChange={() => handleToggleAlertPreference('messages')}
+                        />
+                        Notify me of every message
+                      </label>
+                      <label className="alert-option">
+                        <input
+                          type="checkbox"
+                          checked={alertPreferences.showSender}
+                          onChange={() => handleToggleAlertPreference('showSender')}
+                        />
+                        Name the sender in notifications
+                      </label>
+                    </>
+                  )}
+                  <label className="alert-option">
+                    <input
+                      type="checkbox"
+                      checked={alertPreferences.sound}
+                      onChange={() => handleToggleAlertPreference('sound')}
+                    />
+                    Play a sound
+                  </label>
+                </div>
+              )}
+            </div>
+
+            <button
+              type="button"
+              onClick={() => setShowParticipants(!showParticipants)}
+              className={`btn-icon ${showParticipants ? 'active' : ''}`}
+              title="Participants"
+            >
+              👥 {participants.length}
+            </button>
+
             <button
               onClick={handleLogout}
               className="btn btn-danger"
@@ -347,58 +1793,258 @@ function App() {
         </div>
       </header>
 
+      {serverRestarting && (
+        <div className="restart-banner" role="status">
+          🔄 Server restarting, reconnecting...
+        </div>
+      )}
+
       <div className="chat-container">
         <div className="chat-window">
+          {directThreads.length > 0 && (
+            <div className="thread-tabs">
+              <button
+                type="button"
+                className={`thread-tab ${activeThread ? '' : 'active'}`}
+                onClick={() => showThread(null)}
+              >
+                # {currentRoom}
+              </button>
+              {directThreads.map(thread => {
+                const peer = participants.find(participant => participant.id === thread.id) || thread;
+                return (
+                  <div
+                    key={thread.id}
+                    className={`thread-tab ${activeThread === thread.id ? 'active' : ''} ${isPeerOnline(thread.id) ? '' : 'thread-tab-offline'}`}
+                  >
+                    <button type="button" className="thread-tab-open" onClick={() => showThread(thread.id)}>
+                      <span className="sender-dot" style={{ backgroundColor: peer.color }}></span>
+                      {peer.alias}
+                      {unreadDirect[thread.id] > 0 && (
+                        <span className="unread-badge">{unreadDirect[thread.id]}</span>
+                      )}
+                    </button>
+                    <button
+                      type="button"
+                      className="thread-tab-close"
+                      title="Close conversation"
+                      onClick={() => handleCloseThread(thread.id)}
+                    >
+                      ✕
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          )}
           <div className="messages-container">
-            {messages.length === 0 ? (
-              <div className="empty-state">
-                <div className="empty-icon">💭</div>
-                <p className="empty-title">Welcome to the conversation!</p>
-                <p className="empty-subtitle">Send a message to start chatting anonymously</p>
-              </div>
+            {visibleMessages.length === 0 ? (
+              activePeer ? (
+                <div className="empty-state">
+                  <div className="empty-icon">✉️</div>
+                  <p className="empty-title">Private conversation with {activePeer.alias}</p>
+                  <p className="empty-subtitle">Only the two of you receive these messages</p>
+                </div>
+              ) : (
+                <div className="empty-state">
+                  <div className="empty-icon">💭</div>
+                  <p className="empty-title">Welcome to the conversation!</p>
+                  <p className="empty-subtitle">Send a message to start chatting anonymously</p>
+                </div>
+              )
             ) : (
-              messages.map((msg, index) => {
-                if (msg.type === 'system-join' || msg.type === 'system-left') {
+              visibleMessages.map((msg, index) => {
+                if (msg.type.startsWith('system-')) {
                   return (
                     <div key={msg.id || index} className="system-message">
-                      <span className="system-bubble">
-                        {msg.message}
+                      <span className={`system-bubble ${msg.type === 'system-announcement' ? 'system-announcement' : ''}`}>
+                        {msg.type === 'system-announcement' ? `📢 ${msg.message}` : msg.message}
                       </span>
                     </div>
                   );
                 }
 
-                const isOwnMessage = msg.clientId === clientId;
+                const isOwnMessage = msg.senderId === identity?.id;
+                const mentionsMe = !isOwnMessage && !msg.deleted && mentionsAlias(msg.message, identity?.alias);
                 
                 return (
-                  <div
-                    key={msg.id}
-                    className={`message ${isOwnMessage ? 'message-own' : 'message-other'}`}
-                  >
-                    <div className="message-bubble">
-                      {!isOwnMessage && (
-                        <div className="message-sender">
-                          <div 
-                            className="sender-dot"
-                            style={{ backgroundColor: msg.color }}
-                          ></div>
-                          {msg.alias}
-                        </div>
-                      )}
-                      <div className="message-text">
-                        {msg.message}
+                  <React.Fragment key={msg.id}>
+                    {msg.id === firstUnreadId && (
+                      <div ref={unreadDividerRef} className="unread-divider">
+                        <span>New messages</span>
                       </div>
-                      <div className="message-time">
-                        {formatMessageTime(msg.timestamp)}
+                    )}
+                    <div
+                      className={`message ${isOwnMessage ? 'message-own' : 'message-other'}`}
+                    >
+                      <div
+                        className={`message-bubble ${mentionsMe ? 'message-mentioned' : ''}`}
+                        onContextMenu={(e) => openContextMenu(e, msg)}
+                      >
+                        {!isOwnMessage && (
+                          <div className="message-sender">
+                            <div 
+                              className="sender-dot"
+                              style={{ backgroundColor: msg.color }}
+                            ></div>
+                            {msg.alias}
+                            <span className="sender-fingerprint" title="Identity fingerprint">
+                              #{msg.fingerprint}
+                            </span>
+                          </div>
+                        )}
+                        {msg.replyTo && !msg.deleted && (() => {
+                          const preview = getReplyPreview(msg.replyTo);
+                          return (
+                            <div className="message-reply-quote">
+                              {preview.alias && <span className="message-reply-alias">{preview.alias}</span>}
+                              {preview.text}
+                            </div>
+                          );
+                        })()}
+                        {msg.deleted ? (
+                          <div className="message-text message-undecryptable">
+                            {msg.deletedBy === 'author'
+                              ? '🗑️ This message was deleted'
+                              : '🗑️ This message was removed by a moderator'}
+                          </div>
+                        ) : msg.decryptionFailed ? (
+                          <div className="message-text message-undecryptable">
+                            🔒 Unable to decrypt this message
+                          </div>
+                        ) : (
+                          <>
+                            {msg.attachment && renderAttachment(msg)}
+                            {msg.message && (
+                              <div className="message-text">
+                                {renderMessageText(msg.message, {
+                                  aliases: participantAliases,
+                                  selfAlias: identity?.alias
+                                })}
+                              </div>
+                            )}
+                          </>
+                        )}
+                        {msg.reactions?.length > 0 && !msg.deleted && (
+                          <div className="message-reactions">
+                            {msg.reactions.map(reaction => (
+                              <button
+                                key={reaction.emoji}
+                                type="button"
+                                className={`reaction-chip ${reaction.reactors.includes(identity?.id) ? 'reaction-chip-own' : ''}`}
+                                onClick={() => handleReact(msg, reaction.emoji)}
+                              >
+                                {reaction.emoji} {reaction.count}
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                        {reactionPickerFor === msg.id && (
+                          <div className="reaction-picker">
+                            {REACTION_EMOJIS.map(emoji => (
+                              <button key={emoji} type="button" onClick={() => handleReact(msg, emoji)}>
+                                {emoji}
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                        <div className="message-time">
+                          {formatMessageTime(msg.timestamp)}
+                          {msg.editedAt && !msg.deleted && (
+                            <span className="message-edited" title={`Edited ${formatMessageTime(msg.editedAt)}`}>
+                              edited
+                            </span>
+                          )}
+                          {msg.expiresAt && !msg.deleted && (
+                            <span
+                              className="message-expiry"
+                              title={`Disappears at ${new Date(msg.expiresAt).toLocaleTimeString()}`}
+                            >
+                              ⏳ {formatTimeLeft(Date.parse(msg.expiresAt) - now)}
+                            </span>
+                          )}
+                          {isOwnMessage && msg.status === 'pending' && (
+                            <span className="message-status" title="Waiting to be sent">🕓</span>
+                          )}
+                          {isOwnMessage && msg.status === 'failed' && (
+                            <button
+                              type="button"
+                              className="message-status message-status-failed"
+                              title={msg.failureReason}
+                              onClick={() => handleRetryMessage(msg)}
+                            >
+                              ⚠️ Failed · Retry
+                            </button>
+                          )}
+                          {isOwnMessage && (!msg.status || msg.status === 'sent') && (
+                            <span className="message-status" title="Delivered">✓</span>
+                          )}
+                          {msg.type === 'message' && !msg.local && !msg.deleted && !msg.decryptionFailed && (
+                            <>
+                              <button
+                                type="button"
+                                className="message-menu-button"
+                                title="Reply"
+                                onClick={() => handleReply(msg)}
+                              >
+                                ↩️
+                              </button>
+                              <button
+                                type="button"
+                                className="message-menu-button"
+                                title="React"
+                                onClick={() => setReactionPickerFor(prev => (prev === msg.id ? null : msg.id))}
+                              >
+                                😊
+                              </button>
+                            </>
+                          )}
+                          {canChangeMessage(msg) && !msg.decryptionFailed && (
+                            <button
+                              type="button"
+                              className="message-menu-button"
+                              title="Edit"
+                              onClick={() => handleEdit(msg)}
+                            >
+                              ✏️
+                            </button>
+                          )}
+                          {canChangeMessage(msg) && (
+                            <button
+                              type="button"
+                              className="message-menu-button"
+                              title="Delete"
+                              onClick={() => handleDeleteOwn(msg)}
+                            >
+                              🗑️
+                            </button>
+                          )}
+                          {identity?.role === 'owner' && msg.type === 'message' && !msg.local && !msg.deleted && (
+                            <button
+                              type="button"
+                              className="message-menu-button"
+                              title="Moderate"
+                              onClick={(e) => openContextMenu(e, msg)}
+                            >
+                              ⋯
+                            </button>
+                          )}
+                        </div>
                       </div>
                     </div>
-                  </div>
+                  </React.Fragment>
                 );
               })
             )}
             
+            {showJumpToUnread && firstUnreadId && !activeThread && (
+              <button type="button" onClick={handleJumpToUnread} className="jump-to-unread">
+                ↑ Jump to first unread
+              </button>
+            )}
+
             {/* Typing Indicator */}
-            {getTypingText() && (
+            {!activeThread && getTypingText() && (
               <div className="typing-indicator">
                 <div className="typing-bubble">
                   <div className="typing-dots">
@@ -415,18 +2061,52 @@ function App() {
           </div>
 
           <div className="message-input-container">
+            {upload && (
+              <div className="compose-context">
+                <span className="compose-context-text">
+                  📎 Encrypting and uploading {upload.name}... {Math.round(upload.progress * 100)}%
+                </span>
+              </div>
+            )}
+            {(replyingTo || editingMessage) && (
+              <div className="compose-context">
+                <span className="compose-context-text">
+                  {editingMessage
+                    ? 'Editing message'
+                    : <>Replying to <strong>{replyingTo.alias}</strong>: {snippet(messageSummary(replyingTo), 60)}</>}
+                </span>
+                <button
+                  type="button"
+                  className="btn-icon"
+                  title="Cancel"
+                  onClick={handleCancelCompose}
+                >
+                  ✕
+                </button>
+              </div>
+            )}
             <form onSubmit={handleSendMessage} className="message-form">
               <div className="message-input-wrapper">
-                <input
+                <textarea
                   ref={messageInputRef}
-                  type="text"
+                  rows={1}
                   value={message}
                   onChange={(e) => {
                     setMessage(e.target.value);
                     handleTyping();
                   }}
+                  onKeyDown={(e) => {
+                    // Shift+Enter adds a line, e.g. for ``` code blocks
+                    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+                      handleSendMessage(e);
+                    }
+                  }}
                   onBlur={handleStopTyping}
-                  placeholder="Type your message... (Press Enter to send)"
+                  placeholder={connectionStatus !== 'online'
+                    ? 'Offline - messages will be sent when you reconnect'
+                    : activePeer
+                      ? `Message ${activePeer.alias} privately...`
+                      : 'Type your message... (Enter to send, Shift+Enter for a new line)'}
                   className="message-input"
                   maxLength={1000}
                 />
@@ -434,9 +2114,46 @@ function App() {
                   {message.length}/1000
                 </div>
               </div>
+              {attachmentLimits && !activeThread && (
+                <>
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept={attachmentLimits.types.join(',')}
+                    onChange={handleAttachFile}
+                    hidden
+                  />
+                  <button
+                    type="button"
+                    className="attach-button"
+                    title={`Attach a file (up to ${formatBytes(attachmentLimits.maxBytes)})`}
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={Boolean(upload) || connectionStatus !== 'online'}
+                  >
+                    📎
+                  </button>
+                </>
+              )}
+              {!activeThread && (
+                <select
+                  value={messageTtl}
+                  onChange={(e) => setMessageTtl(Number(e.target.value))}
+                  className="ttl-select"
+                  title="Self-destruct timer"
+                >
+                  <option value={0}>
+                    {roomDefaultTtl ? `⏳ ${ttlLabel(roomDefaultTtl)}` : '⏳ Off'}
+                  </option>
+                  {MESSAGE_TTL_OPTIONS
+                    .filter(option => !roomDefaultTtl || option.ms < roomDefaultTtl)
+                    .map(option => (
+                      <option key={option.ms} value={option.ms}>⏳ {option.label}</option>
+                    ))}
+                </select>
+              )}
               <button
                 type="submit"
-                disabled={!message.trim()}
+                disabled={!message.trim() || Boolean(activeThread && !isPeerOnline(activeThread))}
                 className="send-button"
               >
                 <span>Send</span>
@@ -468,7 +2185,193 @@ function App() {
             </div>
           </div>
         </div>
+
+        {showParticipants && (
+          <aside className="participants-panel glass">
+            <div className="participants-header">
+              <span>Participants</span>
+              <span className="participants-count">{participants.length}</span>
+            </div>
+            <ul className="participants-list">
+              {[...participants]
+                .sort((a, b) => a.alias.localeCompare(b.alias))
+                .map((participant) => (
+                  <li
+                    key={participant.id}
+                    className="participant"
+                    title={participant.id !== identity?.id ? 'Send a direct message' : undefined}
+                    onContextMenu={(e) => openParticipantMenu(e, participant)}
+                    onClick={(e) => openParticipantMenu(e, participant)}
+                  >
+                    <div
+                      className="sender-dot"
+                      style={{ backgroundColor: participant.color }}
+                    ></div>
+                    <div className="participant-info">
+                      <div className="participant-name">
+                        {participant.alias}{' '}
+                        <span className="sender-fingerprint">#{participant.fingerprint}</span>
+                        {participant.role === 'owner' && ' 🛡️'}
+                        {participant.id === identity?.id && ' (you)'}
+                      </div>
+                      <div className="participant-meta">
+                        <span className={`presence-dot presence-${participant.presence}`}></span>
+                        {PRESENCE_LABELS[participant.presence]}
+                        <span>· joined {formatMessageTime(participant.joinedAt)}</span>
+                      </div>
+                    </div>
+                  </li>
+                ))}
+            </ul>
+
+            {identity?.role === 'owner' && (
+              <div className="invites">
+                <div className="participants-header">
+                  <span>Invite links</span>
+                  <span className="participants-count">{invites.length}</span>
+                </div>
+                <div className="invite-form">
+                  <select
+                    value={inviteExpiry}
+                    onChange={(e) => setInviteExpiry(Number(e.target.value))}
+                    className="ttl-select"
+                    title="Link expires after"
+                  >
+                    {INVITE_EXPIRY_OPTIONS.map(option => (
+                      <option key={option.ms} value={option.ms}>{option.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={inviteMaxUses}
+                    onChange={(e) => setInviteMaxUses(Number(e.target.value))}
+                    className="ttl-select"
+                    title="Number of uses"
+                  >
+                    {INVITE_USE_OPTIONS.map(uses => (
+                      <option key={uses} value={uses}>{uses === 1 ? '1 use' : `${uses} uses`}</option>
+                    ))}
+                  </select>
+                  <button type="button" onClick={handleCreateInvite} className="btn-icon">
+                    🔗 Create
+                  </button>
+                </div>
+                <div className="invite-form">
+                  <input
+                    type="password"
+                    value={invitePassphrase}
+                    onChange={(e) => setInvitePassphrase(e.target.value)}
+                    placeholder="Room passphrase"
+                    className="invite-link-input"
+                    aria-label="Room passphrase for the invite link"
+                    autoComplete="off"
+                  />
+                </div>
+                <p className="invite-warning">
+                  Anyone who opens a link can read this room for as long as the passphrase stays the same.
+                  Revoking a link only stops new logins; it doesn't take back access to messages.
+                </p>
+                {newInviteLink && (
+                  <div className="invite-link">
+                    <input
+                      type="text"
+                      value={newInviteLink}
+                      readOnly
+                      onFocus={(e) => e.target.select()}
+                      className="invite-link-input"
+                      aria-label="Invite link"
+                    />
+                    <button type="button" onClick={handleCopyInvite} className="btn-icon" title="Copy link">
+                      📋
+                    </button>
+                  </div>
+                )}
+                <ul className="invite-list">
+                  {invites.map(invite => (
+                    <li key={invite.id} className="invite-item">
+                      <span>
+                        {invite.uses}/{invite.maxUses} used · expires {formatInviteExpiry(invite.expiresAt)}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => handleRevokeInvite(invite.id)}
+                        className="invite-revoke"
+                        title="Revoke"
+                      >
+                        ✕
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </aside>
+        )}
       </div>
+
+      {contextMenu && (
+        <div
+          className="context-menu glass"
+          style={{ top: contextMenu.y, left: contextMenu.x }}
+          onClick={(e) => e.stopPropagation()}
+        >
+          {contextMenu.message && (
+            <button
+              type="button"
+              className="context-menu-item"
+              onClick={() => handleModeration(CLIENT_EVENTS.DELETE_MESSAGE, { messageId: contextMenu.message.id })}
+            >
+              🗑️ Delete message
+            </button>
+          )}
+          {contextMenu.target.id !== identity?.id && (
+            <>
+              <div className="context-menu-label">{contextMenu.target.alias}</div>
+              <button
+                type="button"
+                className="context-menu-item"
+                onClick={() => handleOpenThread(contextMenu.target)}
+              >
+                ✉️ Send a direct message
+              </button>
+              <button
+                type="button"
+                className="context-menu-item"
+                onClick={() => handleModeration(CLIENT_EVENTS.MUTE, { targetId: contextMenu.target.id, durationMs: 5 * 60 * 1000 })}
+              >
+                🔇 Mute for 5 min
+              </button>
+              <button
+                type="button"
+                className="context-menu-item"
+                onClick={() => handleModeration(CLIENT_EVENTS.MUTE, { targetId: contextMenu.target.id, durationMs: 60 * 60 * 1000 })}
+              >
+                🔇 Mute for 1 hour
+              </button>
+              <button
+                type="button"
+                className="context-menu-item"
+                onClick={() => handleModeration(CLIENT_EVENTS.KICK, { targetId: contextMenu.target.id })}
+              >
+                👢 Kick
+              </button>
+              <button
+                type="button"
+                className="context-menu-item context-menu-danger"
+                onClick={() => handleModeration(CLIENT_EVENTS.BAN, { targetId: contextMenu.target.id, scope: 'session' })}
+              >
+                ⛔ Ban
+              </button>
+              <button
+                type="button"
+                className="context-menu-item context-menu-danger"
+                onClick={() => handleModeration(CLIENT_EVENTS.BAN, { targetId: contextMenu.target.id, scope: 'ip' })}
+              >
+                ⛔ Ban IP address
+              </button>
+            </>
+          )}
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,170 @@
+// End-to-end encryption helpers built on WebCrypto.
+//
+// The room passphrase is stretched with PBKDF2 (per-room salt from the server),
+// then split with HKDF into:
+//   - an AES-GCM message key that never reaches the server. It can't be
+//     exported from the page; invite links carry a copy derived for them
+//     (exportRoomKey) in the URL fragment, which browsers don't send
+//   - a login verifier the server checks instead of the passphrase
+// Keep the derivation in sync with deriveVerifier() in backend/rooms.js.
+
+export const KDF_ITERATIONS = 210000;
+
+const MESSAGE_KEY_INFO = 'anonychat:message-key';
+const VERIFIER_INFO = 'anonychat:auth-verifier';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+export const fromBase64 = (value) =>
+  Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+
+export const generateSalt = () => toBase64(crypto.getRandomValues(new Uint8Array(16)));
+
+// `extractable` only for exportRoomKey, the session keeps a key that can't be read out
+export async function deriveRoomKeys(passphrase, { salt, iterations }, { extractable = false } = {}) {
+  const saltBytes = fromBase64(salt);
+
+  const passphraseKey = await crypto.subtle.importKey(
+    'raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']
+  );
+  const masterBits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations },
+    passphraseKey,
+    256
+  );
+  const masterKey = await crypto.subtle.importKey(
+    'raw', masterBits, 'HKDF', false, ['deriveKey', 'deriveBits']
+  );
+
+  const messageKey = await crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: saltBytes, info: encoder.encode(MESSAGE_KEY_INFO) },
+    masterKey,
+    { name: 'AES-GCM', length: 256 },
+    extractable,
+    ['encrypt', 'decrypt']
+  );
+  const verifierBits = await crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt: saltBytes, info: encoder.encode(VERIFIER_INFO) },
+    masterKey,
+    256
+  );
+
+  return { messageKey, verifier: toBase64(verifierBits) };
+}
+
+// The message key as base64url, for invite links. It is derived again from the
+// passphrase, so it has to match `sessionKey` (checked with a round trip).
+// Whoever opens the link can decrypt the room for good, revoking the invite
+// only stops new logins. The key can't log in: the verifier comes from the
+// passphrase alone.
+export async function exportRoomKey(passphrase, kdf, sessionKey) {
+  const { messageKey } = await deriveRoomKeys(passphrase, kdf, { extractable: true });
+  const probe = await encryptPayload(messageKey, 'invite-check', {});
+  try {
+    await decryptPayload(sessionKey, 'invite-check', probe);
+  } catch {
+    throw new Error('Wrong passphrase for this room');
+  }
+  const raw = await crypto.subtle.exportKey('raw', messageKey);
+  return toBase64(raw).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export async function importMessageKey(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  return crypto.subtle.importKey(
+    'raw', fromBase64(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')),
+    { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+  );
+}
+
+// Repeat tags let the server spot one sender posting the same text over and
+// over without learning the text: an HMAC of the normalized text (case,
+// punctuation, spacing and stretched letters don't count) under a key only
+// the room has, with the sender's id mixed in so tags of different senders
+// can't be compared.
+const REPEAT_KEY_INFO = 'anonychat:repeat-key';
+
+// The HMAC key comes from the message key itself, which can't be exported
+// (and is all an invitee has): AES-GCM under an all-zero IV, which random
+// message IVs never hit, over zeros gives 32 bytes only the key can produce.
+export async function deriveRepeatKey(messageKey) {
+  const keystream = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: new Uint8Array(12), additionalData: encoder.encode(REPEAT_KEY_INFO) },
+    messageKey,
+    new Uint8Array(32)
+  );
+  return crypto.subtle.importKey(
+    'raw', keystream.slice(0, 32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+}
+
+const normalizeForRepeats = (text) => {
+  const squeezed = text.normalize('NFKC').toLowerCase()
+    .replace(/[^\p{L}\p{N}\p{Extended_Pictographic}]+/gu, '')
+    .replace(/(.)\1+/gu, '$1');
+  return squeezed || text.trim();
+};
+
+export async function repeatTag(repeatKey, senderId, text) {
+  const mac = await crypto.subtle.sign(
+    'HMAC', repeatKey, encoder.encode(`${senderId}\n${normalizeForRepeats(text)}`)
+  );
+  return toBase64(mac.slice(0, 16));
+}
+
+// Encrypts a JSON payload. The room name is bound in as additional data so a
+// ciphertext can't be replayed into another room sharing the passphrase.
+export async function encryptPayload(key, room, payload) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: encoder.encode(room) },
+    key,
+    encoder.encode(JSON.stringify(payload))
+  );
+
+  return { ciphertext: toBase64(ciphertext), iv: toBase64(iv) };
+}
+
+// Throws if the ciphertext was tampered with or encrypted under another key
+export async function decryptPayload(key, room, { ciphertext, iv }) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv), additionalData: encoder.encode(room) },
+    key,
+    fromBase64(ciphertext)
+  );
+
+  return JSON.parse(decoder.decode(plaintext));
+}
+
+// Attachments are encrypted as raw bytes under the same key, with their own
+// associated data so a file can't be passed off as a message or vice versa
+const attachmentAad = (room) => encoder.encode(`${room}/attachment`);
+
+export async function encryptBytes(key, room, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: attachmentAad(room) },
+    key,
+    bytes
+  );
+
+  return { data, iv: toBase64(iv) };
+}
+
+export async function decryptBytes(key, room, { data, iv }) {
+  return crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv), additionalData: attachmentAad(room) },
+    key,
+    data
+  );
+}
@@ -0,0 +1,113 @@
+// Markdown-lite rendering for decrypted message text.
+//
+// Supports **bold**, *italics* / _italics_, `inline code`, ``` fenced code
+// blocks ```, http(s) links and @mentions. Everything is turned into React
+// elements, so message text is always escaped and never parsed as HTML.
+import React from 'react';
+
+const FENCE_PATTERN = /```[\w+-]*\n?([\s\S]*?)```/g;
+const INLINE_CODE_PATTERN = /`[^`\n]+`/g;
+
+// Links end before trailing punctuation, so "see https://x.org." works
+const URL_SOURCE = 'https?:\\/\\/[^\\s<>"]*[^\\s<>".,!?;:)\\]\'"]';
+const FALLBACK_MENTION_SOURCE = '[A-Za-z0-9_-]+(?:\\.[A-Za-z0-9_-]+)*';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Known aliases may contain spaces, so they are tried first, longest first
+const mentionSource = (aliases) => [
+  ...[...new Set(aliases.filter(Boolean))]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp),
+  FALLBACK_MENTION_SOURCE
+].join('|');
+
+const inlinePattern = (aliases) => new RegExp([
+  '`([^`\\n]+)`',
+  '\\*\\*([^*\\n]+?)\\*\\*',
+  '\\*([^*\\s](?:[^*\\n]*?[^*\\s])?)\\*',
+  '(?<![\\w])_([^_\\n]+?)_(?![\\w])',
+  `(${URL_SOURCE})`,
+  `(?<![\\w@])@(${mentionSource(aliases)})(?![\\w])`
+].join('|'), 'gi');
+
+const isSafeUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+function renderInline(text, options, keyPrefix) {
+  const nodes = [];
+  const pattern = inlinePattern(options.aliases);
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [whole, code, bold, starItalic, underscoreItalic, url, mention] = match;
+    const key = `${keyPrefix}-${match.index}`;
+
+    if (match.index > lastIndex) {
+      nodes.push(text.slice(lastIndex, match.index));
+    }
+    lastIndex = match.index + whole.length;
+
+    if (code !== undefined) {
+      nodes.push(<code key={key} className="md-inline-code">{code}</code>);
+    } else if (bold !== undefined) {
+      nodes.push(<strong key={key}>{renderInline(bold, options, key)}</strong>);
+    } else if (starItalic !== undefined || underscoreItalic !== undefined) {
+      nodes.push(<em key={key}>{renderInline(starItalic ?? underscoreItalic, options, key)}</em>);
+    } else if (url !== undefined) {
+      nodes.push(isSafeUrl(url) ? (
+        <a key={key} href={url} target="_blank" rel="noopener noreferrer" className="md-link">
+          {url}
+        </a>
+      ) : url);
+    } else {
+      const isSelf = Boolean(options.selfAlias) && mention.toLowerCase() === options.selfAlias.toLowerCase();
+      nodes.push(
+        <span key={key} className={`mention ${isSelf ? 'mention-self' : ''}`}>@{mention}</span>
+      );
+    }
+  }
+
+  if (lastIndex < text.length) {
+    nodes.push(text.slice(lastIndex));
+  }
+  return nodes;
+}
+
+// Renders message text as React nodes. `aliases` are the participants that
+// can be mentioned, `selfAlias` gets its mentions highlighted differently.
+export function renderMessageText(text, { aliases = [], selfAlias = '' } = {}) {
+  const options = { aliases: [...aliases, selfAlias], selfAlias };
+  const nodes = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(FENCE_PATTERN)) {
+    if (match.index > lastIndex) {
+      nodes.push(...renderInline(text.slice(lastIndex, match.index), options, `t${lastIndex}`));
+    }
+    nodes.push(
+      <pre key={`f${match.index}`} className="md-code-block">
+        <code>{match[1].replace(/\n$/, '')}</code>
+      </pre>
+    );
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    nodes.push(...renderInline(text.slice(lastIndex), options, `t${lastIndex}`));
+  }
+  return nodes;
+}
+
+// True when `text` mentions `alias` outside of code
+export function mentionsAlias(text, alias) {
+  if (!text || !alias) return false;
+  const prose = text.replace(FENCE_PATTERN, '').replace(INLINE_CODE_PATTERN, '');
+  return new RegExp(`(?<![\\w@])@${escapeRegExp(alias)}(?![\\w])`, 'i').test(prose);
+}
@@ -0,0 +1,27 @@
+// Socket event names and the protocol version, from the schema the backend
+// validates against (shared/protocol.json), so the two sides can't drift.
+import protocol from '../../shared/protocol.json';
+
+export const PROTOCOL_VERSION = protocol.version;
+
+// { CHAT_MESSAGE: 'chat message', ... }. Reading a name the schema doesn't
+// define throws, so a renamed or removed event fails loudly instead of
+// silently listening for nothing.
+const eventNames = (events) => new Proxy(
+  Object.freeze(Object.fromEntries(
+    Object.keys(events).map(name => [name.toUpperCase().replace(/ /g, '_'), name])
+  )),
+  {
+    get(names, key) {
+      if (typeof key === 'string' && /^[A-Z_]+$/.test(key) && !(key in names)) {
+        throw new Error(`Unknown socket event ${key}, see shared/protocol.json`);
+      }
+      return names[key];
+    }
+  }
+);
+
+// Sent by the client
+export const CLIENT_EVENTS = eventNames(protocol.clientEvents);
+// Sent by the server
+export const SERVER_EVENTS = eventNames(protocol.serverEvents);
@@ -0,0 +1,86 @@
+// Signals for messages that arrive while the tab is in the background: an
+// unread count in the document title and the favicon, and a short chime.
+// Nothing here ever sees message content.
+
+const BASE_TITLE = document.title;
+const BADGE_SIZE = 32;
+
+const faviconLink = () => document.querySelector('link[rel~="icon"]');
+const BASE_FAVICON = faviconLink()?.href;
+
+let faviconImage = null;
+
+// Draws the count over the original favicon, e.g. a red dot with "3"
+const drawBadge = (count) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = BADGE_SIZE;
+  canvas.height = BADGE_SIZE;
+  const context = canvas.getContext('2d');
+  if (faviconImage?.complete) {
+    context.drawImage(faviconImage, 0, 0, BADGE_SIZE, BADGE_SIZE);
+  }
+
+  context.fillStyle = '#ef4444';
+  context.beginPath();
+  context.arc(BADGE_SIZE * 0.68, BADGE_SIZE * 0.68, BADGE_SIZE * 0.32, 0, 2 * Math.PI);
+  context.fill();
+
+  context.fillStyle = '#ffffff';
+  context.font = `bold ${BADGE_SIZE * 0.4}px sans-serif`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(count > 9 ? '9+' : String(count), BADGE_SIZE * 0.68, BADGE_SIZE * 0.7);
+  return canvas.toDataURL('image/png');
+};
+
+// Shows `count` in the title and favicon, 0 restores both
+export function showUnreadCount(count) {
+  document.title = count > 0 ? `(${count}) ${BASE_TITLE}` : BASE_TITLE;
+
+  const link = faviconLink();
+  if (!link || !BASE_FAVICON) return;
+  if (count === 0) {
+    link.href = BASE_FAVICON;
+    return;
+  }
+
+  if (!faviconImage) {
+    faviconImage = new Image();
+    faviconImage.src = BASE_FAVICON;
+  }
+  if (faviconImage.complete) {
+    link.href = drawBadge(count);
+  } else {
+    faviconImage.onload = () => {
+      link.href = drawBadge(count);
+    };
+  }
+}
+
+let audioContext = null;
+
+// A short two-note chime, synthesized so there is no sound file to ship.
+// Browsers only allow audio after the page got a click or key press; before
+// that this stays silent.
+export function playChime() {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+  audioContext = audioContext || new AudioContext();
+  if (audioContext.state === 'suspended') {
+    audioContext.resume().catch(() => {});
+  }
+
+  const start = audioContext.currentTime;
+  [880, 1320].forEach((frequency, index) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    const noteStart = start + index * 0.12;
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.0001, noteStart);
+    gain.gain.exponentialRampToValueAtTime(0.15, noteStart + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, noteStart + 0.25);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(noteStart);
+    oscillator.stop(noteStart + 0.3);
+  });
+}
@@ -5,5 +5,11 @@ export default defineConfig({
   plugins: [react()],
   define: {
     'process.env': {}
+  },
+  server: {
+    fs: {
+      // The socket protocol schema lives in ../shared
+      allow: ['..']
+    }
   }
 })
\ No newline at end of file